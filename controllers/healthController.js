@@ -1,8 +1,19 @@
+const healthService = require('../services/healthService');
+const logger = require('../utils/logger');
+
+const log = logger.child('HealthController');
+
 class HealthController {
+  /**
+   * Detailed dependency report (Sheets, location providers, outbox)
+   * GET /api/health - 503 only when a dependency is down
+   */
   async checkHealth(req, res) {
     try {
+      const report = await healthService.getReport();
+
       const healthCheck = {
-        status: 'OK',
+        status: report.status.toUpperCase(),
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         environment: process.env.NODE_ENV || 'development',
@@ -10,10 +21,13 @@ class HealthController {
           used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB',
           total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + ' MB',
         },
+        checks: report.checks,
       };
 
-      res.status(200).json(healthCheck);
+      res.status(report.status === 'down' ? 503 : 200).json(healthCheck);
     } catch (error) {
+      log.error('Health check failed', { error });
+
       res.status(503).json({
         status: 'ERROR',
         timestamp: new Date().toISOString(),
@@ -22,6 +36,41 @@ class HealthController {
     }
   }
 
+  /**
+   * Liveness probe - the process is up
+   * GET /api/health/live
+   */
+  async live(req, res) {
+    res.status(200).json({
+      ...healthService.getLiveness(),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Readiness probe - this instance should receive traffic
+   * GET /api/health/ready
+   */
+  async ready(req, res) {
+    try {
+      const readiness = await healthService.getReadiness();
+
+      res.status(readiness.ready ? 200 : 503).json({
+        status: readiness.ready ? 'ok' : 'unavailable',
+        timestamp: new Date().toISOString(),
+        checks: readiness.checks,
+      });
+    } catch (error) {
+      log.error('Readiness check failed', { error });
+
+      res.status(503).json({
+        status: 'unavailable',
+        timestamp: new Date().toISOString(),
+        error: error.message,
+      });
+    }
+  }
+
   async ping(req, res) {
     res.status(200).json({
       success: true,
@@ -31,4 +80,4 @@ class HealthController {
   }
 }
 
-module.exports = new HealthController();
\ No newline at end of file
+module.exports = new HealthController();
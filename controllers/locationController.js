@@ -1,4 +1,10 @@
 const locationService = require('../services/locationService');
+const { DEFAULT_LANGUAGE, normalizeLanguage, parseAcceptLanguage } = require('../utils/language');
+const logger = require('../utils/logger');
+
+const log = logger.child('LocationController');
+
+const MAX_COUNTRIES = 10;
 
 /**
  * Location Autocomplete Controller
@@ -9,6 +15,12 @@ class LocationController {
   /**
    * Autocomplete endpoint
    * GET /api/locations/autocomplete?q=searchText&type=flight|train|bus|hotel
+   *
+   * Optional:
+   *   lat, lon - prefer results near this point
+   *   country  - comma-separated ISO 3166-1 alpha-2 codes to restrict to, e.g. IN,NP
+   *   bbox     - minLon,minLat,maxLon,maxLat to restrict to
+   *   lang     - language for names, e.g. hi (defaults to Accept-Language, then en)
    */
   async autocomplete(req, res) {
     try {
@@ -42,16 +54,33 @@ class LocationController {
         });
       }
 
-      console.log(`[LocationController] Autocomplete request: query="${query}", type="${type || 'all'}"`);
+      const { options, errors } = this.parseSearchOptions(req.query);
+      const { lang, error: langError } = this.parseLanguage(req);
+      if (langError) errors.push(langError);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join('; '),
+          errors,
+          results: [],
+        });
+      }
+
+      log.info('Autocomplete request', { query, type: type || 'all', lang });
 
       // Search using service (handles fallback automatically)
-      const result = await locationService.search(query, type);
+      const result = await locationService.search(query, type, { ...options, lang });
 
       // Success response
       return res.status(200).json({
         success: true,
         query,
         type: type || null,
+        lang,
+        near: options.bias || null,
+        countries: options.countries || null,
+        bbox: options.bbox || null,
         results: result.results,
         count: result.results.length,
         source: result.source,
@@ -59,7 +88,7 @@ class LocationController {
       });
 
     } catch (error) {
-      console.error('[LocationController] Error in autocomplete:', error);
+      log.error('Error in autocomplete', { error });
       
       // Never expose internal errors to client
       return res.status(500).json({
@@ -70,6 +99,177 @@ class LocationController {
     }
   }
 
+  /**
+   * Parse the optional bias / restriction parameters of autocomplete
+   * @returns {Object} { options, errors }
+   */
+  parseSearchOptions({ lat, lon, country, bbox }) {
+    const options = {};
+    const errors = [];
+
+    if (lat !== undefined || lon !== undefined) {
+      const parsedLat = parseFloat(lat);
+      const parsedLon = parseFloat(lon);
+
+      if (isNaN(parsedLat) || isNaN(parsedLon)) {
+        errors.push('lat and lon must be given together and must be numbers');
+      } else if (!this.isValidCoordinate(parsedLat, parsedLon)) {
+        errors.push('lat must be between -90 and 90 and lon between -180 and 180');
+      } else {
+        options.bias = { lat: parsedLat, lon: parsedLon };
+      }
+    }
+
+    if (country !== undefined) {
+      const countries = String(country).split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+
+      if (countries.length === 0 || countries.length > MAX_COUNTRIES ||
+          countries.some(code => !/^[A-Z]{2}$/.test(code))) {
+        errors.push(`country must be 1 to ${MAX_COUNTRIES} comma-separated ISO 3166-1 alpha-2 codes, e.g. IN,NP`);
+      } else {
+        options.countries = [...new Set(countries)].sort();
+      }
+    }
+
+    if (bbox !== undefined) {
+      const parts = String(bbox).split(',').map(value => parseFloat(value));
+      const [minLon, minLat, maxLon, maxLat] = parts;
+
+      if (parts.length !== 4 || parts.some(isNaN) ||
+          !this.isValidCoordinate(minLat, minLon) || !this.isValidCoordinate(maxLat, maxLon) ||
+          minLon >= maxLon || minLat >= maxLat) {
+        errors.push('bbox must be minLon,minLat,maxLon,maxLat with valid coordinates and min < max');
+      } else {
+        options.bbox = parts;
+      }
+    }
+
+    return { options, errors };
+  }
+
+  /**
+   * Language from ?lang=, falling back to Accept-Language and then the default
+   * @returns {Object} { lang, error }
+   */
+  parseLanguage(req) {
+    if (req.query.lang !== undefined) {
+      const lang = normalizeLanguage(req.query.lang);
+
+      return lang
+        ? { lang, error: null }
+        : { lang: null, error: 'lang must be a language code, e.g. hi or en-IN' };
+    }
+
+    const lang = parseAcceptLanguage(req.get('Accept-Language'));
+    return { lang: lang || DEFAULT_LANGUAGE, error: null };
+  }
+
+  isValidCoordinate(lat, lon) {
+    return lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+  }
+
+  /**
+   * Reverse geocoding endpoint
+   * GET /api/locations/reverse?lat=19.07&lon=72.87[&lang=hi]
+   */
+  async reverse(req, res) {
+    try {
+      const lat = parseFloat(req.query.lat);
+      const lon = parseFloat(req.query.lon);
+
+      // Validation
+      if (isNaN(lat) || isNaN(lon)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Query parameters "lat" and "lon" are required and must be numbers',
+          results: [],
+        });
+      }
+
+      if (!this.isValidCoordinate(lat, lon)) {
+        return res.status(400).json({
+          success: false,
+          message: 'lat must be between -90 and 90 and lon between -180 and 180',
+          results: [],
+        });
+      }
+
+      const { lang, error: langError } = this.parseLanguage(req);
+      if (langError) {
+        return res.status(400).json({
+          success: false,
+          message: langError,
+          results: [],
+        });
+      }
+
+      log.info('Reverse request', { lat, lon, lang });
+
+      const result = await locationService.reverse(lat, lon, { lang });
+
+      return res.status(200).json({
+        success: true,
+        lat,
+        lon,
+        lang,
+        results: result.results,
+        count: result.results.length,
+        source: result.source,
+        cached: result.cached,
+      });
+
+    } catch (error) {
+      log.error('Error in reverse', { error });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch locations',
+        results: [],
+      });
+    }
+  }
+
+  /**
+   * Place details endpoint
+   * GET /api/locations/:id[?lang=hi] (id as returned by autocomplete, e.g. airports:BOM)
+   */
+  async getDetails(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { lang, error: langError } = this.parseLanguage(req);
+      if (langError) {
+        return res.status(400).json({
+          success: false,
+          message: langError,
+        });
+      }
+
+      const location = await locationService.getDetails(id, { lang });
+
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: `Location "${id}" not found`,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        lang,
+        location,
+      });
+
+    } catch (error) {
+      log.error('Error getting location details', { id: req.params.id, error });
+
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to fetch location details',
+      });
+    }
+  }
+
   /**
    * Get service statistics
    * GET /api/locations/stats
@@ -83,7 +283,7 @@ class LocationController {
         stats,
       });
     } catch (error) {
-      console.error('[LocationController] Error getting stats:', error);
+      log.error('Error getting stats', { error });
       
       return res.status(500).json({
         success: false,
@@ -95,22 +295,29 @@ class LocationController {
   /**
    * Health check for location service
    * GET /api/locations/health
+   *
+   * Reports provider and circuit breaker state only - it never queries a
+   * provider, so probes don't spend rate limit quota
    */
   async healthCheck(req, res) {
     try {
-      // Test a simple query
-      const testResult = await locationService.search('New York');
+      const providers = locationService.getProviders();
+      const breakers = locationService.getBreakerStatus();
+      const openCircuits = providers
+        .filter(provider => provider.enabled && provider.circuit !== 'closed')
+        .map(provider => provider.key);
       
       return res.status(200).json({
         success: true,
-        status: 'OK',
-        message: 'Location service is operational',
-        testQuery: 'New York',
-        testResults: testResult.results.length,
-        testSource: testResult.source,
+        status: openCircuits.length > 0 ? 'DEGRADED' : 'OK',
+        message: openCircuits.length > 0
+          ? `Location service is operational; circuit not closed for: ${openCircuits.join(', ')}`
+          : 'Location service is operational',
+        providers,
+        breakers,
       });
     } catch (error) {
-      console.error('[LocationController] Health check failed:', error);
+      log.error('Health check failed', { error });
       
       return res.status(503).json({
         success: false,
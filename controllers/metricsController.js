@@ -0,0 +1,33 @@
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+const log = logger.child('MetricsController');
+
+/**
+ * Metrics Controller
+ *
+ * Serves every registered metric for Prometheus to scrape
+ */
+class MetricsController {
+  /**
+   * Prometheus exposition format
+   * GET /metrics (requires METRICS_TOKEN, see routes/metricsRoutes)
+   */
+  async getMetrics(req, res) {
+    try {
+      const body = await metrics.render();
+
+      res.set('Content-Type', metrics.contentType);
+      return res.status(200).send(body);
+    } catch (error) {
+      log.error('Error rendering metrics', { error });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to render metrics',
+      });
+    }
+  }
+}
+
+module.exports = new MetricsController();
@@ -0,0 +1,37 @@
+const sheetsOutbox = require('../services/sheetsOutbox');
+const sheetsWriteBuffer = require('../services/sheetsWriteBuffer');
+const logger = require('../utils/logger');
+
+const log = logger.child('OutboxController');
+
+/**
+ * Sheets Outbox Controller
+ *
+ * Exposes rows waiting to be written or retried against Google Sheets
+ */
+class OutboxController {
+  /**
+   * Get buffered, pending and dead-lettered rows
+   * GET /api/outbox (admin only, see middleware/requireApiKey)
+   */
+  async getStatus(req, res) {
+    try {
+      const outbox = await sheetsOutbox.getStatus();
+
+      return res.status(200).json({
+        success: true,
+        outbox,
+        buffer: sheetsWriteBuffer.getStats(),
+      });
+    } catch (error) {
+      log.error('Error getting outbox status', { error });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch outbox status',
+      });
+    }
+  }
+}
+
+module.exports = new OutboxController();
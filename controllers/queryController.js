@@ -1,11 +1,32 @@
-const { Query } = require('../models/Query');
-const googleSheetsService = require('../services/googleSheetsService');
+const { Query, SHEET_NAMES } = require('../models/Query');
+const leadStore = require('../services/leadStore');
+const leadService = require('../services/leadService');
+const duplicateDetector = require('../services/duplicateDetector');
+const locationService = require('../services/locationService');
+const logger = require('../utils/logger');
+
+const log = logger.child('QueryController');
+
+const MAX_PAGE_SIZE = 100;
+
+const LIST_PARAMS = ['type', 'reference', 'startDate', 'endDate', 'mobile', 'from', 'to', 'location', 'sortBy', 'order', 'page', 'limit'];
+
+// Date-only filters (YYYY-MM-DD) cover the whole day in IST, matching lead timestamps
+const parseDateFilter = (value, endOfDay) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}+05:30`);
+  }
+  return new Date(value);
+};
 
 class QueryController {
   async saveQuery(req, res) {
     try {
       const { type, name, mobile, ...searchData } = req.body;
 
+      // Places (fromPlace, ...) are only ever set from resolved ids
+      Query.getPlaceFields(type).forEach(({ placeField }) => delete searchData[placeField]);
+
       // Create query instance
       const query = new Query({
         type,
@@ -14,36 +35,90 @@ class QueryController {
         searchData,
       });
 
-      // Validate
+      // Validate, then resolve location ids from autocomplete
+      // (fromId/toId/locationId), so a bad submission costs no provider calls
       const validation = query.validate();
-      if (!validation.isValid) {
+      let unresolvedPlaces = [];
+
+      if (validation.isValid) {
+        const places = await this.resolvePlaces(query);
+        unresolvedPlaces = places.unresolved;
+        Object.assign(validation.fieldErrors, places.fieldErrors);
+        validation.errors = Object.values(validation.fieldErrors);
+      }
+
+      if (validation.errors.length > 0) {
         return res.status(400).json({
           success: false,
           message: 'Validation failed',
           errors: validation.errors,
+          fieldErrors: validation.fieldErrors,
         });
       }
 
-      // Get row data and sheet name
-      const rowData = query.toRowData();
       const sheetName = query.getSheetName();
 
-      // Save to Google Sheets
-      const response = await googleSheetsService.appendRow(sheetName, rowData);
+      // Don't create a second lead for the same search
+      const duplicateCheck = duplicateDetector.claim(query);
+      if (duplicateCheck.duplicate) {
+        const { original } = duplicateCheck;
 
-      console.log(`Data saved to ${sheetName}:`, response);
+        log.info('Duplicate query', { type: query.type, sheet: sheetName, mode: duplicateCheck.mode, original: original.reference });
+
+        return res.status(200).json({
+          success: true,
+          duplicate: true,
+          message: 'We already have your request',
+          data: {
+            type: query.type,
+            sheet: sheetName,
+            reference: original.reference,
+            timestamp: original.timestamp,
+            submissions: original.submissions,
+          },
+        });
+      }
+
+      // A correction (merge mode) is saved as the latest version of the original lead
+      if (duplicateCheck.merged) {
+        query.reference = duplicateCheck.original.reference;
+      }
+
+      // Save to every configured lead store
+      let response;
+      try {
+        response = await leadStore.appendRow(sheetName, query.toRowData());
+      } catch (error) {
+        duplicateDetector.release(query, duplicateCheck);
+        throw error;
+      }
+
+      log.info(duplicateCheck.merged ? 'Query updated' : 'Query saved', {
+        sheet: sheetName,
+        reference: query.reference,
+        stores: response.results.map(result => `${result.store}:${result.success ? 'ok' : 'failed'}`).join(','),
+      });
 
       return res.status(200).json({
         success: true,
-        message: 'Search query saved successfully',
+        duplicate: false,
+        updated: Boolean(duplicateCheck.merged),
+        message: duplicateCheck.merged ? 'Your request has been updated' : 'Search query saved successfully',
         data: {
           type: query.type,
           sheet: sheetName,
+          reference: query.reference,
           timestamp: query.timestamp,
+          // batched: written as part of a Sheets batch; queued: the write
+          // failed and the row is waiting in the outbox for a retry
+          batched: response.results.some(result => result.response?.batched),
+          queued: response.results.some(result => result.response?.queued),
+          // Ids saved without a place because the lookup failed
+          unresolvedPlaces,
         },
       });
     } catch (error) {
-      console.error('Error saving query:', error);
+      log.error('Error saving query', { error });
       return res.status(500).json({
         success: false,
         message: 'Failed to save search query',
@@ -51,6 +126,152 @@ class QueryController {
       });
     }
   }
+
+  /**
+   * Resolve the location ids of a validated query
+   *
+   * The resolved place is stored next to the display name, and fills in the
+   * display name if only the id was sent. Ids that don't exist are rejected.
+   * Ids that can't be checked right now (provider down) are kept without a
+   * place and reported back, so the lead isn't lost - unless there is no
+   * display name to fall back on.
+   *
+   * @returns {Object} { fieldErrors, unresolved } - unresolved lists id fields
+   */
+  async resolvePlaces(query) {
+    const { searchData } = query;
+    const fieldErrors = {};
+    const unresolved = [];
+
+    for (const { textField, idField, placeField } of Query.getPlaceFields(query.type)) {
+      const id = searchData[idField];
+      if (!id) continue;
+
+      let location;
+      try {
+        location = await locationService.getDetails(id);
+      } catch (error) {
+        log.warn('Could not resolve location id', { field: idField, id, error: error.message });
+
+        if (searchData[textField]) {
+          unresolved.push(idField);
+        } else {
+          fieldErrors[textField] = `${idField} could not be checked right now, send ${textField} as well`;
+        }
+        continue;
+      }
+
+      if (!location) {
+        fieldErrors[idField] = `${idField} does not match a known location`;
+        continue;
+      }
+
+      searchData[placeField] = location.displayName;
+      if (!searchData[textField]) {
+        searchData[textField] = location.displayName;
+      }
+    }
+
+    return { fieldErrors, unresolved };
+  }
+
+  /**
+   * List saved queries
+   * GET /api/queries?type=&reference=&startDate=&endDate=&mobile=&from=&to=&location=&sortBy=&order=&page=&limit=
+   * (admin only, see middleware/requireApiKey)
+   */
+  async listQueries(req, res) {
+    try {
+      // Repeated parameters (?mobile=1&mobile=2) arrive as arrays
+      const repeated = LIST_PARAMS.filter(param => req.query[param] !== undefined && typeof req.query[param] !== 'string');
+      if (repeated.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: repeated.map(param => `${param} must be given once`),
+        });
+      }
+
+      const {
+        type,
+        reference,
+        startDate,
+        endDate,
+        mobile,
+        from,
+        to,
+        location,
+        sortBy = 'createdAt',
+        order = 'desc',
+        page = '1',
+        limit = '20',
+      } = req.query;
+
+      const errors = [];
+
+      if (type && !SHEET_NAMES[type]) {
+        errors.push(`Invalid type. Must be one of: ${Object.keys(SHEET_NAMES).join(', ')}`);
+      }
+
+      const parsedStartDate = startDate ? parseDateFilter(startDate, false) : null;
+      const parsedEndDate = endDate ? parseDateFilter(endDate, true) : null;
+      if (parsedStartDate && isNaN(parsedStartDate)) errors.push('startDate must be a valid date');
+      if (parsedEndDate && isNaN(parsedEndDate)) errors.push('endDate must be a valid date');
+
+      if (!leadService.sortFields.includes(sortBy)) {
+        errors.push(`Invalid sortBy. Must be one of: ${leadService.sortFields.join(', ')}`);
+      }
+      if (!['asc', 'desc'].includes(order)) {
+        errors.push('Invalid order. Must be one of: asc, desc');
+      }
+
+      const mobileDigits = mobile ? mobile.replace(/\D/g, '') : '';
+      if (mobile && !mobileDigits) errors.push('mobile must contain digits');
+
+      const parsedPage = parseInt(page, 10);
+      const parsedLimit = parseInt(limit, 10);
+      if (!(parsedPage >= 1)) errors.push('page must be a positive integer');
+      if (!(parsedLimit >= 1 && parsedLimit <= MAX_PAGE_SIZE)) {
+        errors.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors,
+        });
+      }
+
+      const result = await leadService.list({
+        type,
+        reference,
+        startDate: parsedStartDate,
+        endDate: parsedEndDate,
+        mobile: mobileDigits || undefined,
+        from,
+        to,
+        location,
+        sortBy,
+        order,
+        page: parsedPage,
+        limit: parsedLimit,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: result.leads,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      log.error('Error listing queries', { error });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch queries',
+        error: error.message,
+      });
+    }
+  }
 }
 
 module.exports = new QueryController();
\ No newline at end of file
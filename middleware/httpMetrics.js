@@ -0,0 +1,38 @@
+const metrics = require('../utils/metrics');
+
+const requestsTotal = metrics.counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+});
+
+const requestDuration = metrics.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+});
+
+/**
+ * HTTP request metrics middleware
+ *
+ * Labels requests with the matched route pattern (/api/locations/:id, not
+ * the actual URL) so label cardinality stays bounded; requests no route
+ * matched are counted as "unmatched".
+ *
+ * @returns {Function} Express middleware
+ */
+const httpMetrics = () => (req, res, next) => {
+  const endTimer = requestDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const labels = { method: req.method, route, status: res.statusCode };
+
+    requestsTotal.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
+
+module.exports = httpMetrics;
@@ -0,0 +1,92 @@
+/**
+ * Rate limiting algorithms
+ *
+ * Each algorithm is a pure function of the key's stored state:
+ *   (state, { limit, windowMs, now }) => { allowed, remaining, retryAfterMs, resetMs, state, ttlMs }
+ * state is null for a key seen for the first time; the returned state is
+ * stored for ttlMs (after which it is equivalent to a fresh key).
+ * redisStore.js runs the same logic as Lua scripts - keep them in step.
+ *
+ * Both keep constant-size state per key, unlike a log of every timestamp.
+ */
+
+/**
+ * Sliding window counter: this window's count plus the previous window's
+ * count weighted by how much of it still overlaps the sliding window
+ */
+const slidingWindow = (state, { limit, windowMs, now }) => {
+  const windowStart = now - (now % windowMs);
+  let current = 0;
+  let previous = 0;
+
+  if (state && state.windowStart === windowStart) {
+    current = state.current;
+    previous = state.previous;
+  } else if (state && state.windowStart === windowStart - windowMs) {
+    previous = state.current;
+  }
+
+  const elapsed = now - windowStart;
+  const estimated = previous * (1 - elapsed / windowMs) + current;
+  const resetMs = windowStart + windowMs - now;
+
+  if (estimated + 1 <= limit) {
+    return {
+      allowed: true,
+      remaining: Math.max(0, Math.floor(limit - estimated - 1)),
+      retryAfterMs: 0,
+      resetMs,
+      state: { windowStart, current: current + 1, previous },
+      ttlMs: windowMs * 2,
+    };
+  }
+
+  // When the previous window's share will have faded enough, or else the next window
+  const retryAfterMs = current + 1 <= limit && previous > 0
+    ? Math.ceil(windowMs * (1 - (limit - 1 - current) / previous) - elapsed)
+    : resetMs;
+
+  return {
+    allowed: false,
+    remaining: 0,
+    retryAfterMs: Math.max(1, retryAfterMs),
+    resetMs,
+    state: { windowStart, current, previous },
+    ttlMs: windowMs * 2,
+  };
+};
+
+/**
+ * Token bucket: up to `limit` requests at once, refilled evenly over windowMs
+ */
+const tokenBucket = (state, { limit, windowMs, now }) => {
+  const refillPerMs = limit / windowMs;
+  let tokens = state
+    ? Math.min(limit, state.tokens + (now - state.updatedAt) * refillPerMs)
+    : limit;
+
+  const allowed = tokens >= 1;
+  if (allowed) {
+    tokens -= 1;
+  }
+
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+    resetMs: Math.ceil((limit - tokens) / refillPerMs),
+    state: { tokens, updatedAt: now },
+    ttlMs: windowMs,
+  };
+};
+
+const ALGORITHMS = {
+  'sliding-window': slidingWindow,
+  'token-bucket': tokenBucket,
+};
+
+module.exports = {
+  ALGORITHMS,
+  slidingWindow,
+  tokenBucket,
+};
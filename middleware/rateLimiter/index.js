@@ -0,0 +1,206 @@
+/**
+ * Rate limiter middleware
+ *
+ * Limits requests per key (client IP by default) to prevent abuse.
+ *
+ * Options:
+ * - name: identifies the limiter in store keys, logs and the
+ *   rate_limit_rejections_total metric; limiters sharing a store need distinct names
+ * - windowMs / maxRequests: maxRequests per windowMs
+ * - algorithm: sliding-window (default) or token-bucket (allows a burst of
+ *   maxRequests, then maxRequests per windowMs) - see algorithms.js
+ * - keyGenerator: ip (default), apiKey, mobile, mobileIp, or a (req) => string function
+ *   (returning null lets the request through uncounted) - see keyGenerators.js
+ * - store: a store instance; defaults to the shared store chosen with
+ *   RATE_LIMIT_STORE:
+ *     memory - per instance (default)
+ *     redis  - Redis-compatible server shared by every instance
+ *              (RATE_LIMIT_REDIS_URL, falling back to REDIS_URL;
+ *              keys under RATE_LIMIT_REDIS_PREFIX, default "rate-limit:")
+ * - failOpen: let requests through when the store fails (default true)
+ *
+ * Every store implements:
+ * - name: short identifier used in config and stats
+ * - consume(key, algorithm, { limit, windowMs }): count one request and
+ *   return { allowed, remaining, retryAfterMs, resetMs }
+ * - getStats(), close()
+ */
+
+const MemoryStore = require('./memoryStore');
+const RedisStore = require('./redisStore');
+const { ALGORITHMS } = require('./algorithms');
+const { KEY_GENERATORS } = require('./keyGenerators');
+const metrics = require('../../utils/metrics');
+const logger = require('../../utils/logger');
+
+const log = logger.child('RateLimiter');
+
+const rejections = metrics.counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected with 429 by rate limiter',
+  labelNames: ['limiter'],
+});
+
+const STORE_FACTORIES = {
+  memory: () => new MemoryStore(),
+  redis: () => new RedisStore({
+    url: process.env.RATE_LIMIT_REDIS_URL || process.env.REDIS_URL,
+    keyPrefix: process.env.RATE_LIMIT_REDIS_PREFIX,
+  }),
+};
+
+let defaultStore = null;
+
+/**
+ * Store shared by every limiter that isn't given one (created on first use)
+ */
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    const storeName = process.env.RATE_LIMIT_STORE?.trim().toLowerCase() || 'memory';
+    const factory = STORE_FACTORIES[storeName];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown rate limit store "${storeName}". Must be one of: ${Object.keys(STORE_FACTORIES).join(', ')}`
+      );
+    }
+
+    defaultStore = factory();
+  }
+
+  return defaultStore;
+};
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.name = options.name || 'default';
+    this.windowMs = options.windowMs || 60000; // 1 minute window
+    this.maxRequests = options.maxRequests || 100; // 100 requests per minute
+    this.algorithm = options.algorithm || 'sliding-window';
+    this.failOpen = options.failOpen !== undefined ? options.failOpen : true;
+
+    if (!ALGORITHMS[this.algorithm]) {
+      throw new Error(
+        `Unknown rate limit algorithm "${this.algorithm}". Must be one of: ${Object.keys(ALGORITHMS).join(', ')}`
+      );
+    }
+
+    const keyGenerator = options.keyGenerator || 'ip';
+    this.keyGenerator = typeof keyGenerator === 'function' ? keyGenerator : KEY_GENERATORS[keyGenerator];
+
+    if (!this.keyGenerator) {
+      throw new Error(
+        `Unknown rate limit key generator "${keyGenerator}". Must be one of: ${Object.keys(KEY_GENERATORS).join(', ')} or a function`
+      );
+    }
+
+    this.ownsStore = !!options.store;
+    this.store = options.store || getDefaultStore();
+
+    this.stats = {
+      allowed: 0,
+      rejected: 0,
+      storeErrors: 0,
+    };
+  }
+
+  /**
+   * Middleware function for rate limiting
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const key = this.keyGenerator(req);
+      if (key === null) {
+        return next();
+      }
+
+      let result;
+      try {
+        result = await this.store.consume(`${this.name}:${key}`, this.algorithm, {
+          limit: this.maxRequests,
+          windowMs: this.windowMs,
+        });
+      } catch (error) {
+        this.stats.storeErrors++;
+        log.warn('Rate limit store failed', {
+          limiter: this.name,
+          store: this.store.name,
+          failOpen: this.failOpen,
+          error: error.message,
+        });
+
+        if (this.failOpen) {
+          return next();
+        }
+
+        return res.status(503).json({
+          error: 'Service unavailable',
+          message: 'Rate limiting is temporarily unavailable. Please try again shortly.',
+        });
+      }
+
+      // Add rate limit headers
+      res.set({
+        'X-RateLimit-Limit': this.maxRequests,
+        'X-RateLimit-Remaining': result.remaining,
+        'X-RateLimit-Reset': new Date(Date.now() + result.resetMs).toISOString(),
+      });
+
+      // Check if limit exceeded
+      if (!result.allowed) {
+        this.stats.rejected++;
+        rejections.inc({ limiter: this.name });
+
+        const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+
+        return res.status(429).json({
+          error: 'Too many requests',
+          message: `Rate limit exceeded. Maximum ${this.maxRequests} requests per ${this.windowMs / 1000} seconds.`,
+          retryAfter,
+        });
+      }
+
+      this.stats.allowed++;
+      next();
+    };
+  }
+
+  /**
+   * Get current stats
+   * @returns {Object} Rate limiter stats
+   */
+  getStats() {
+    return {
+      name: this.name,
+      algorithm: this.algorithm,
+      windowMs: this.windowMs,
+      maxRequests: this.maxRequests,
+      ...this.stats,
+      store: { name: this.store.name, ...this.store.getStats() },
+    };
+  }
+
+  /**
+   * Cleanup on shutdown (a store passed in options is closed here; the
+   * shared default store by RateLimiter.closeDefaultStore())
+   */
+  async destroy() {
+    if (this.ownsStore) {
+      await this.store.close();
+    }
+  }
+
+  static async closeDefaultStore() {
+    if (defaultStore) {
+      await defaultStore.close();
+      defaultStore = null;
+    }
+  }
+}
+
+RateLimiter.MemoryStore = MemoryStore;
+RateLimiter.RedisStore = RedisStore;
+
+module.exports = RateLimiter;
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { normalizePhoneNumber } = require('../../utils/phone');
+const { getClientIp, getClientNetwork } = require('../../utils/clientIp');
+
+/**
+ * Rate limit key generators: (req) => string, or null to skip limiting
+ *
+ * Requests without a known API key fall back to their IP, so they can't
+ * dodge the limit by leaving the header out or sending a made-up key each
+ * time. Known keys are ADMIN_API_KEY and RATE_LIMIT_API_KEYS
+ * (comma-separated, read at startup). Requests without a valid mobile
+ * number are skipped - validation rejects them anyway, and counting them
+ * per IP would let typos lock a user out. API keys and mobile numbers are
+ * hashed so stores (possibly a shared Redis) never hold the raw values.
+ */
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+
+const KNOWN_API_KEYS = new Set(
+  [process.env.ADMIN_API_KEY, ...(process.env.RATE_LIMIT_API_KEYS || '').split(',')]
+    .map(key => key?.trim())
+    .filter(Boolean)
+    .map(hash)
+);
+
+/**
+ * Client address as resolved through trusted proxies (see utils/clientIp),
+ * IPv6 clients by their /64
+ */
+const ip = (req) => `ip:${getClientNetwork(getClientIp(req))}`;
+
+/**
+ * X-API-Key header, if it is a known key (otherwise the IP)
+ */
+const apiKey = (req) => {
+  const key = req.get('X-API-Key');
+  const keyHash = key ? hash(key) : null;
+  return KNOWN_API_KEYS.has(keyHash) ? `key:${keyHash}` : ip(req);
+};
+
+/**
+ * mobile field of the JSON body (normalized, so formatting can't evade it)
+ */
+const mobile = (req) => {
+  const number = normalizePhoneNumber(req.body?.mobile);
+  return number ? `mobile:${hash(number)}` : null;
+};
+
+/**
+ * mobile field per client: someone submitting another person's number
+ * only uses up their own allowance, never the owner's
+ */
+const mobileIp = (req) => {
+  const mobileKey = mobile(req);
+  return mobileKey ? `${mobileKey}:${ip(req)}` : null;
+};
+
+const KEY_GENERATORS = {
+  ip,
+  apiKey,
+  mobile,
+  mobileIp,
+};
+
+module.exports = {
+  KEY_GENERATORS,
+};
@@ -0,0 +1,79 @@
+const { ALGORITHMS } = require('./algorithms');
+
+/**
+ * In-process rate limit store
+ *
+ * Counts are per instance, so with N instances behind a load balancer a
+ * client effectively gets N times the limit - use the Redis store there.
+ * Holds at most maxKeys keys (least recently used dropped first); expired
+ * keys are swept every minute.
+ */
+class MemoryStore {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxKeys = options.maxKeys || 100000;
+    this.entries = new Map(); // key -> { state, expiresAt }, least recently used first
+
+    this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
+    this.cleanupInterval.unref();
+  }
+
+  /**
+   * Count one request against key
+   * @param {string} key
+   * @param {string} algorithm - sliding-window | token-bucket
+   * @param {Object} limits - { limit, windowMs }
+   * @returns {Object} { allowed, remaining, retryAfterMs, resetMs }
+   */
+  async consume(key, algorithm, { limit, windowMs }) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    const state = entry && entry.expiresAt > now ? entry.state : null;
+
+    const result = ALGORITHMS[algorithm](state, { limit, windowMs, now });
+
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxKeys) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { state: result.state, expiresAt: now + result.ttlMs });
+
+    return {
+      allowed: result.allowed,
+      remaining: result.remaining,
+      retryAfterMs: result.retryAfterMs,
+      resetMs: result.resetMs,
+    };
+  }
+
+  /**
+   * @returns {number} Keys removed
+   */
+  cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+
+  getStats() {
+    return {
+      keys: this.entries.size,
+      maxKeys: this.maxKeys,
+    };
+  }
+
+  async close() {
+    clearInterval(this.cleanupInterval);
+    this.entries.clear();
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,130 @@
+const { createRedisClient, closeRedisClient } = require('../../utils/redisClient');
+
+/**
+ * Redis-compatible rate limit store, shared by every instance
+ *
+ * Each algorithm runs as a Lua script so reading and updating a key is
+ * atomic across instances. Scripts use the server's clock (TIME), so
+ * instances with skewed clocks still agree. State is a small hash per key
+ * under keyPrefix, expiring on its own. Mirrors algorithms.js.
+ *
+ * Scripts are registered as ioredis commands, which run them with EVALSHA
+ * and fall back to EVAL when the server doesn't have them cached yet.
+ */
+
+const SCRIPTS = {
+  'sliding-window': `
+    local limit = tonumber(ARGV[1])
+    local windowMs = tonumber(ARGV[2])
+    local time = redis.call('TIME')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+    local windowStart = now - (now % windowMs)
+
+    local stored = redis.call('HMGET', KEYS[1], 'windowStart', 'current', 'previous')
+    local storedStart = tonumber(stored[1])
+    local current = 0
+    local previous = 0
+    if storedStart == windowStart then
+      current = tonumber(stored[2]) or 0
+      previous = tonumber(stored[3]) or 0
+    elseif storedStart == windowStart - windowMs then
+      previous = tonumber(stored[2]) or 0
+    end
+
+    local elapsed = now - windowStart
+    local estimated = previous * (1 - elapsed / windowMs) + current
+    local resetMs = windowStart + windowMs - now
+    local allowed = 0
+    local remaining = 0
+    local retryAfterMs = 0
+
+    if estimated + 1 <= limit then
+      allowed = 1
+      current = current + 1
+      remaining = math.max(0, math.floor(limit - estimated - 1))
+    elseif current + 1 <= limit and previous > 0 then
+      retryAfterMs = math.max(1, math.ceil(windowMs * (1 - (limit - 1 - current) / previous) - elapsed))
+    else
+      retryAfterMs = math.max(1, resetMs)
+    end
+
+    redis.call('HSET', KEYS[1], 'windowStart', windowStart, 'current', current, 'previous', previous)
+    redis.call('PEXPIRE', KEYS[1], windowMs * 2)
+    return { allowed, remaining, retryAfterMs, resetMs }
+  `,
+
+  'token-bucket': `
+    local limit = tonumber(ARGV[1])
+    local windowMs = tonumber(ARGV[2])
+    local time = redis.call('TIME')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+    local refillPerMs = limit / windowMs
+
+    local stored = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+    local tokens = tonumber(stored[1])
+    if tokens == nil then
+      tokens = limit
+    else
+      tokens = math.min(limit, tokens + (now - tonumber(stored[2])) * refillPerMs)
+    end
+
+    local allowed = 0
+    local retryAfterMs = 0
+    if tokens >= 1 then
+      allowed = 1
+      tokens = tokens - 1
+    else
+      retryAfterMs = math.ceil((1 - tokens) / refillPerMs)
+    end
+
+    redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+    redis.call('PEXPIRE', KEYS[1], math.ceil(windowMs))
+    return { allowed, math.floor(tokens), retryAfterMs, math.ceil((limit - tokens) / refillPerMs) }
+  `,
+};
+
+// Algorithm -> ioredis command name
+const COMMANDS = {
+  'sliding-window': 'rateLimitSlidingWindow',
+  'token-bucket': 'rateLimitTokenBucket',
+};
+
+class RedisStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.keyPrefix = options.keyPrefix || 'rate-limit:';
+    this.client = options.client || createRedisClient(options.url, { name: 'rate-limit' });
+
+    Object.entries(COMMANDS).forEach(([algorithm, command]) => {
+      this.client.defineCommand(command, { numberOfKeys: 1, lua: SCRIPTS[algorithm] });
+    });
+  }
+
+  /**
+   * Count one request against key (see MemoryStore#consume)
+   */
+  async consume(key, algorithm, { limit, windowMs }) {
+    const [allowed, remaining, retryAfterMs, resetMs] =
+      await this.client[COMMANDS[algorithm]](this.keyPrefix + key, limit, windowMs);
+
+    return {
+      allowed: allowed === 1,
+      remaining,
+      retryAfterMs,
+      resetMs,
+    };
+  }
+
+  getStats() {
+    return {
+      keyPrefix: this.keyPrefix,
+      connected: this.client.status === 'ready',
+    };
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext');
+const { getClientIp } = require('../utils/clientIp');
+const logger = require('../utils/logger');
+
+const log = logger.child('HTTP');
+
+// Accept ids from upstream proxies / clients only if they look like ids
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Request id middleware
+ *
+ * Reuses the caller's X-Request-Id when it is a plausible id, otherwise
+ * generates one. The id is set on req.id, echoed in the X-Request-Id
+ * response header and attached to every log line for the request,
+ * including the one logged when the response is sent.
+ *
+ * @returns {Function} Express middleware
+ */
+const requestId = () => (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = id;
+  res.set('X-Request-Id', id);
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    log.child({ requestId: id }).info('Request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ip: getClientIp(req),
+    });
+  });
+
+  runWithContext({ requestId: id }, next);
+};
+
+module.exports = requestId;
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+/**
+ * API key check for admin endpoints (lead listing, outbox contents, metrics)
+ *
+ * The key is sent as X-API-Key or "Authorization: Bearer <key>" and
+ * compared in constant time. Endpoints stay disabled (404) until a key is
+ * configured, so they are never public by accident.
+ *
+ * @param {string} [expectedKey] - Key to accept (default ADMIN_API_KEY)
+ * @returns {Function} Express middleware
+ */
+const requireApiKey = (expectedKey = process.env.ADMIN_API_KEY) => (req, res, next) => {
+  if (!expectedKey) {
+    return res.status(404).json({
+      success: false,
+      message: 'Not found',
+    });
+  }
+
+  const bearer = req.get('Authorization')?.match(/^Bearer\s+(.+)$/i);
+  const key = req.get('X-API-Key') || bearer?.[1];
+
+  if (!key) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key required',
+    });
+  }
+
+  if (!keysMatch(key, expectedKey)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid API key',
+    });
+  }
+
+  next();
+};
+
+// Hash first so timingSafeEqual gets equal lengths and the key length isn't leaked
+const keysMatch = (key, expectedKey) => {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(key), digest(expectedKey));
+};
+
+module.exports = requireApiKey;
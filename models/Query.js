@@ -1,3 +1,6 @@
+const crypto = require('crypto');
+const { normalizePhoneNumber } = require('../utils/phone');
+
 const SHEET_NAMES = {
   flight: 'Flights',
   train: 'Trains',
@@ -5,12 +8,30 @@ const SHEET_NAMES = {
   hotel: 'Hotels',
 };
 
+// Fields that can carry a location id from /api/locations autocomplete
+const PLACE_FIELDS = {
+  journey: ['from', 'to'],
+  hotel: ['location'],
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const MAX_NAME_LENGTH = 100;
+
+// "<provider key>:<provider's own id>", e.g. "nominatim:R1953"
+const PLACE_ID_PATTERN = /^[a-z]+:[^\s]{1,100}$/;
+const MAX_PEOPLE = 20;
+
+// IST is a fixed UTC+5:30 offset (no daylight saving)
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
 class Query {
   constructor(data) {
     this.type = data.type;
     this.name = data.name;
     this.mobile = data.mobile;
     this.searchData = data.searchData;
+    this.reference = crypto.randomUUID();
     this.timestamp = this.formatTimestamp(new Date());
   }
 
@@ -29,26 +50,177 @@ class Query {
     return date.toLocaleString('en-IN', options);
   }
 
+  /**
+   * Validate the query against the rules for its type
+   *
+   * On success the mobile number is normalized to E.164 and search fields
+   * are trimmed/normalized in place, so toRowData stores clean values.
+   *
+   * @returns {Object} { isValid, errors, fieldErrors } where fieldErrors maps
+   *   each offending field to its message
+   */
   validate() {
-    const errors = [];
+    const fieldErrors = {};
+    const normalized = {};
+
+    if (!this.type) {
+      fieldErrors.type = 'type is required';
+    } else if (!SHEET_NAMES[this.type]) {
+      fieldErrors.type = `Invalid type. Must be one of: ${Object.keys(SHEET_NAMES).join(', ')}`;
+    }
+
+    const name = typeof this.name === 'string' ? this.name.trim() : '';
+    if (!name) {
+      fieldErrors.name = 'name is required';
+    } else if (name.length > MAX_NAME_LENGTH) {
+      fieldErrors.name = `name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
 
-    if (!this.type) errors.push('type is required');
-    if (!this.name) errors.push('name is required');
-    if (!this.mobile) errors.push('mobile is required');
+    if (!this.mobile) {
+      fieldErrors.mobile = 'mobile is required';
+    } else {
+      normalized.mobile = normalizePhoneNumber(this.mobile);
+      if (!normalized.mobile) {
+        fieldErrors.mobile = 'mobile must be a valid phone number';
+      }
+    }
+
+    const searchData = this.searchData || {};
+    const searchFields = this.type === 'hotel'
+      ? this.validateStay(searchData, fieldErrors)
+      : SHEET_NAMES[this.type] ? this.validateJourney(searchData, fieldErrors) : {};
 
-    if (this.type && !SHEET_NAMES[this.type]) {
-      errors.push(`Invalid type. Must be one of: ${Object.keys(SHEET_NAMES).join(', ')}`);
+    const errors = Object.values(fieldErrors);
+    const isValid = errors.length === 0;
+
+    if (isValid) {
+      this.name = name;
+      this.mobile = normalized.mobile;
+      this.searchData = { ...searchData, ...searchFields };
     }
 
     return {
-      isValid: errors.length === 0,
+      isValid,
       errors,
+      fieldErrors,
     };
   }
 
+  /**
+   * Flight/train/bus: from, to and a travel date that isn't in the past
+   * (from/to may be left out when fromId/toId is sent)
+   */
+  validateJourney(searchData, fieldErrors) {
+    const from = this.trimText(searchData.from);
+    const to = this.trimText(searchData.to);
+    const fromId = this.validatePlaceId(searchData.fromId, 'fromId', fieldErrors);
+    const toId = this.validatePlaceId(searchData.toId, 'toId', fieldErrors);
+
+    if (!from && !fromId) fieldErrors.from = 'from is required';
+    if (!to && !toId) fieldErrors.to = 'to is required';
+
+    if ((from && to && from.toLowerCase() === to.toLowerCase()) || (fromId && fromId === toId)) {
+      fieldErrors.to = 'to must be different from from';
+    }
+
+    const date = this.validateTravelDate(searchData.date, 'date', fieldErrors);
+    const people = this.validatePeople(searchData.people, fieldErrors);
+
+    return { from, to, fromId, toId, date, people };
+  }
+
+  /**
+   * Hotel: location and a check-in/check-out range starting today or later
+   * (location may be left out when locationId is sent)
+   */
+  validateStay(searchData, fieldErrors) {
+    const location = this.trimText(searchData.location);
+    const locationId = this.validatePlaceId(searchData.locationId, 'locationId', fieldErrors);
+
+    if (!location && !locationId) fieldErrors.location = 'location is required';
+
+    const checkIn = this.validateTravelDate(searchData.checkIn, 'checkIn', fieldErrors);
+    const checkOut = this.validateTravelDate(searchData.checkOut, 'checkOut', fieldErrors);
+
+    if (checkIn && checkOut && checkOut <= checkIn) {
+      fieldErrors.checkOut = 'checkOut must be after checkIn';
+    }
+
+    const people = this.validatePeople(searchData.people, fieldErrors);
+
+    return { location, locationId, checkIn, checkOut, people };
+  }
+
+  /**
+   * Required date (YYYY-MM-DD or ISO 8601) that is today or later in IST
+   * @returns {string|null} Normalized YYYY-MM-DD date
+   */
+  validateTravelDate(value, field, fieldErrors) {
+    if (!value) {
+      fieldErrors[field] = `${field} is required`;
+      return null;
+    }
+
+    const date = Query.parseDate(value);
+    if (!date) {
+      fieldErrors[field] = `${field} must be a valid date (YYYY-MM-DD)`;
+      return null;
+    }
+
+    if (date < Query.todayInIST()) {
+      fieldErrors[field] = `${field} cannot be in the past`;
+      return null;
+    }
+
+    return date;
+  }
+
+  /**
+   * Optional traveller/guest count, defaults to 1
+   */
+  validatePeople(value, fieldErrors) {
+    if (value === undefined || value === null || value === '') {
+      return 1;
+    }
+
+    const people = Number(value);
+    if (!Number.isInteger(people) || people < 1 || people > MAX_PEOPLE) {
+      fieldErrors.people = `people must be a whole number between 1 and ${MAX_PEOPLE}`;
+      return null;
+    }
+
+    return people;
+  }
+
+  /**
+   * Optional location id from autocomplete ("<provider>:<id>"); whether it
+   * exists is checked by the controller once everything else is valid
+   * @returns {string|null}
+   */
+  validatePlaceId(value, field, fieldErrors) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    if (typeof value !== 'string' || !PLACE_ID_PATTERN.test(value)) {
+      fieldErrors[field] = `${field} must be a location id`;
+      return null;
+    }
+
+    return value;
+  }
+
+  trimText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+  }
+
+  /**
+   * Row layout shared by every lead store. The reference is the last
+   * column, so rows written before it was added still parse.
+   */
   toRowData() {
     if (this.type === 'hotel') {
-      const { location, checkIn, checkOut, people } = this.searchData;
+      const { location, checkIn, checkOut, people, locationId, locationPlace } = this.searchData;
       return [
         this.timestamp,
         this.name,
@@ -57,9 +229,12 @@ class Query {
         checkIn || '',
         checkOut || '',
         people || 1,
+        locationId || '',
+        locationPlace || '',
+        this.reference,
       ];
     } else {
-      const { from, to, date, people } = this.searchData;
+      const { from, to, date, people, fromId, fromPlace, toId, toPlace } = this.searchData;
       return [
         this.timestamp,
         this.name,
@@ -68,6 +243,11 @@ class Query {
         to || '',
         date || '',
         people || 1,
+        fromId || '',
+        fromPlace || '',
+        toId || '',
+        toPlace || '',
+        this.reference,
       ];
     }
   }
@@ -75,6 +255,149 @@ class Query {
   getSheetName() {
     return SHEET_NAMES[this.type];
   }
+
+  /**
+   * Location id fields accepted for a type, with the text field they describe
+   * and the field the resolved place is stored in
+   */
+  static getPlaceFields(type) {
+    return PLACE_FIELDS[type === 'hotel' ? 'hotel' : 'journey']
+      .map(textField => ({
+        textField,
+        idField: `${textField}Id`,
+        placeField: `${textField}Place`,
+      }));
+  }
+
+  /**
+   * Identity used for duplicate detection: same person, same search
+   * Places are compared by location id when one was sent, so two
+   * "Springfield"s picked from autocomplete stay apart.
+   * Call after validate() so the mobile and search fields are normalized
+   */
+  getFingerprint() {
+    const searchFields = this.type === 'hotel'
+      ? ['location', 'checkIn', 'checkOut']
+      : ['from', 'to', 'date'];
+
+    const searchData = this.searchData || {};
+    const placeIds = {};
+    Query.getPlaceFields(this.type).forEach(({ textField, idField }) => {
+      placeIds[textField] = searchData[idField];
+    });
+
+    return [
+      this.type,
+      this.mobile,
+      ...searchFields.map(field => placeIds[field] || String(searchData[field] || '').trim().toLowerCase()),
+    ].join('|');
+  }
+
+  /**
+   * Parse a calendar date into YYYY-MM-DD, rejecting impossible dates like 2026-02-30
+   * @returns {string|null}
+   */
+  static parseDate(value) {
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(T.*)?$/);
+    if (!match) return null;
+
+    if (match[4] && isNaN(Date.parse(value))) return null;
+
+    const [, year, month, day] = match;
+    const date = new Date(Date.UTC(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10)));
+
+    if (date.getUTCMonth() !== parseInt(month, 10) - 1 || date.getUTCDate() !== parseInt(day, 10)) {
+      return null;
+    }
+
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * Today's date in IST as YYYY-MM-DD
+   */
+  static todayInIST() {
+    return new Date(Date.now() + IST_OFFSET_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Parse a row written by toRowData back into a structured object
+   * Returns null for rows that aren't leads (e.g. a header row)
+   */
+  static fromRowData(type, row) {
+    const [timestamp, name, mobile, ...searchColumns] = row;
+    const createdAt = Query.parseTimestamp(timestamp);
+
+    if (!createdAt) {
+      return null;
+    }
+
+    const lead = {
+      type,
+      timestamp,
+      createdAt: createdAt.toISOString(),
+      name: name || '',
+      mobile: mobile ? String(mobile) : '',
+    };
+
+    if (type === 'hotel') {
+      const [location, checkIn, checkOut, people, locationId, locationPlace, reference] = searchColumns;
+      return {
+        ...lead,
+        reference: reference || null,
+        location: location || '',
+        checkIn: checkIn || '',
+        checkOut: checkOut || '',
+        people: parseInt(people, 10) || 1,
+        locationId: locationId || null,
+        locationPlace: locationPlace || null,
+      };
+    }
+
+    const [from, to, date, people, fromId, fromPlace, toId, toPlace, reference] = searchColumns;
+    return {
+      ...lead,
+      reference: reference || null,
+      from: from || '',
+      to: to || '',
+      date: date || '',
+      people: parseInt(people, 10) || 1,
+      fromId: fromId || null,
+      fromPlace: fromPlace || null,
+      toId: toId || null,
+      toPlace: toPlace || null,
+    };
+  }
+
+  /**
+   * Parse a timestamp produced by formatTimestamp (e.g. "19 Oct 2026, 07:21 am" in IST)
+   * @returns {Date|null}
+   */
+  static parseTimestamp(value) {
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(\d{1,2}) ([A-Za-z]{3}) (\d{4}),? (\d{1,2}):(\d{2}) ?(am|pm)$/i);
+    if (!match) return null;
+
+    const [, day, monthName, year, hour, minute, meridiem] = match;
+    const month = MONTHS.indexOf(monthName.toLowerCase());
+    if (month === -1) return null;
+
+    let hours = parseInt(hour, 10) % 12;
+    if (meridiem.toLowerCase() === 'pm') hours += 12;
+
+    const utcMs = Date.UTC(
+      parseInt(year, 10),
+      month,
+      parseInt(day, 10),
+      hours,
+      parseInt(minute, 10)
+    ) - IST_OFFSET_MS;
+
+    return new Date(utcMs);
+  }
 }
 
 module.exports = { Query, SHEET_NAMES };
\ No newline at end of file
@@ -4,6 +4,11 @@ const healthController = require('../controllers/healthController');
 
 router.get('/health', (req, res) => healthController.checkHealth(req, res));
 
+// Kubernetes-style probes: cheap, never call external services
+router.get('/health/live', (req, res) => healthController.live(req, res));
+
+router.get('/health/ready', (req, res) => healthController.ready(req, res));
+
 router.get('/ping', (req, res) => healthController.ping(req, res));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -6,6 +6,7 @@ const RateLimiter = require('../middleware/rateLimiter');
 // Create rate limiter for location endpoints
 // More lenient than general API (autocomplete needs frequent requests)
 const locationRateLimiter = new RateLimiter({
+  name: 'locations',
   windowMs: 60000, // 1 minute
   maxRequests: 30, // 30 requests per minute per IP
 });
@@ -21,10 +22,24 @@ router.get(
   (req, res) => locationController.autocomplete(req, res)
 );
 
+// GET /api/locations/reverse?lat=19.07&lon=72.87
+router.get(
+  '/reverse',
+  locationRateLimiter.middleware(),
+  (req, res) => locationController.reverse(req, res)
+);
+
 // GET /api/locations/stats - Get service statistics
 router.get('/stats', (req, res) => locationController.getStats(req, res));
 
 // GET /api/locations/health - Health check
 router.get('/health', (req, res) => locationController.healthCheck(req, res));
 
+// GET /api/locations/:id - Place details (keep last so it doesn't shadow the routes above)
+router.get(
+  '/:id',
+  locationRateLimiter.middleware(),
+  (req, res) => locationController.getDetails(req, res)
+);
+
 module.exports = router;
\ No newline at end of file
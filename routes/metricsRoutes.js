@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const metricsController = require('../controllers/metricsController');
+const requireApiKey = require('../middleware/requireApiKey');
+
+// GET /metrics - Prometheus scrape endpoint. Needs METRICS_TOKEN, sent by
+// Prometheus as a bearer token (authorization.credentials in the scrape
+// config); disabled while it isn't set.
+router.get('/metrics', requireApiKey(process.env.METRICS_TOKEN), (req, res) => metricsController.getMetrics(req, res));
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const outboxController = require('../controllers/outboxController');
+const requireApiKey = require('../middleware/requireApiKey');
+
+// GET /api/outbox - Pending and dead-lettered Sheets rows (contain lead
+// names and mobile numbers, so admin only)
+router.get('/outbox', requireApiKey(), (req, res) => outboxController.getStatus(req, res));
+
+module.exports = router;
@@ -1,8 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const queryController = require('../controllers/queryController');
+const RateLimiter = require('../middleware/rateLimiter');
+const requireApiKey = require('../middleware/requireApiKey');
+
+// Lead submissions: a burst from one IP (bots, double taps) and repeated
+// leads for the same mobile number from one client. Keyed on the mobile
+// number alone, anyone could lock a customer out by submitting their number.
+const saveQueryIpLimiter = new RateLimiter({
+  name: 'save-query-ip',
+  windowMs: 60000, // 1 minute
+  maxRequests: 10, // 10 requests per minute per IP
+});
+
+const saveQueryMobileLimiter = new RateLimiter({
+  name: 'save-query-mobile',
+  algorithm: 'token-bucket',
+  keyGenerator: 'mobileIp',
+  windowMs: 3600000, // 1 hour
+  maxRequests: 5, // burst of 5, then one every 12 minutes per mobile number and IP
+});
 
 // POST /api/save-query
-router.post('/save-query', (req, res) => queryController.saveQuery(req, res));
+router.post(
+  '/save-query',
+  saveQueryIpLimiter.middleware(),
+  saveQueryMobileLimiter.middleware(),
+  (req, res) => queryController.saveQuery(req, res)
+);
+
+// GET /api/queries - List saved queries with filtering and pagination
+// (returns customers' names and mobile numbers, so admin only)
+router.get('/queries', requireApiKey(), (req, res) => queryController.listQueries(req, res));
 
 module.exports = router;
\ No newline at end of file
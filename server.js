@@ -5,41 +5,79 @@ require('dotenv').config();
 const queryRoutes = require('./routes/queryRoutes');
 const healthRoutes = require('./routes/healthRoutes');
 const locationRoutes = require('./routes/locationRoutes');
+const outboxRoutes = require('./routes/outboxRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const httpMetrics = require('./middleware/httpMetrics');
+const RateLimiter = require('./middleware/rateLimiter');
+const requestId = require('./middleware/requestId');
+const logger = require('./utils/logger');
+const { isTrustedProxy } = require('./utils/clientIp');
 const { startSelfPing } = require('./utils/selfPing');
+const leadStore = require('./services/leadStore');
+const locationService = require('./services/locationService');
+const sheetsOutbox = require('./services/sheetsOutbox');
+const sheetsWriteBuffer = require('./services/sheetsWriteBuffer');
+const healthService = require('./services/healthService');
+
+const log = logger.child('Server');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// req.ip / req.protocol follow the same TRUST_PROXY rules as utils/clientIp
+app.set('trust proxy', isTrustedProxy);
+
 // Middleware
+app.use(requestId());
+app.use(httpMetrics());
 app.use(cors());
 app.use(express.json());
 
 // Routes
 app.use('/api', queryRoutes);
 app.use('/api', healthRoutes);
+app.use('/api', outboxRoutes);
 app.use('/api/locations', locationRoutes); 
+app.use(metricsRoutes);
 
 // Start server
 const server = app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Location Service: Enabled`);
+  log.info('Server running', {
+    port: PORT,
+    environment: process.env.NODE_ENV || 'development',
+    leadStores: leadStore.getStoreNames().join(','),
+    locationCache: `memory${locationService.cache.persistent ? `+${locationService.cache.persistent.name}` : ''}`,
+  });
   
-  // Log enabled providers
-  console.log('Autocomplete Providers:');
-  console.log('  1. Photon (OpenStreetMap) - Always enabled');
-  console.log('  2. Nominatim (OpenStreetMap) - Always enabled');
-  console.log(`  3. GeoDB Cities - ${process.env.RAPIDAPI_KEY ? 'Enabled' : 'Disabled (no API key)'}`);
+  // Log enabled providers, in order
+  log.info('Autocomplete providers', {
+    providers: locationService.getProviders()
+      .map(provider => `${provider.key}${provider.enabled ? '' : '(disabled)'}`)
+      .join(','),
+  });
   
   // Start self-ping mechanism
   startSelfPing(PORT);
+
+  // Retry Sheets writes that failed earlier
+  sheetsOutbox.start();
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
+process.on('SIGTERM', async () => {
+  log.info('SIGTERM signal received: closing HTTP server');
+  healthService.markShuttingDown();
+  sheetsOutbox.stop();
+
+  // Don't lose leads still waiting in the write buffer
+  await sheetsWriteBuffer.flushAll();
+
+  // Save the file-backed location cache, close the Redis connections
+  await locationService.destroy();
+  await RateLimiter.closeDefaultStore();
+
   server.close(() => {
-    console.log('HTTP server closed');
+    log.info('HTTP server closed');
   });
 });
 
@@ -0,0 +1,182 @@
+/**
+ * Duplicate lead detection
+ *
+ * Remembers recent submissions by fingerprint (normalized mobile, type and
+ * route/location/date) so double-clicks and resubmissions don't create a
+ * second lead for the agents to call.
+ *
+ * Modes (DUPLICATE_MODE):
+ *   suppress - drop duplicates within DUPLICATE_WINDOW_MS of the first submission (default)
+ *   extend   - drop duplicates within DUPLICATE_WINDOW_MS of the latest resubmission,
+ *              so someone who keeps resubmitting keeps getting the original
+ *   merge    - like suppress, but a resubmission that changes the name or
+ *              traveller count is saved as an update of the original lead
+ *   off      - disable detection
+ *
+ * Only exact repeats (same name and traveller count too) are dropped; the
+ * response carries the original's reference, which is stored with the lead
+ * and can be looked up with GET /api/queries?reference=. A resubmission
+ * that corrects the name or count is never dropped: in merge mode it is
+ * saved as another row with the original's reference (the latest row for a
+ * reference is the current version), otherwise as a new lead. Claims are
+ * kept in memory only, so a restart starts every window afresh.
+ */
+
+const MODES = ['suppress', 'extend', 'merge', 'off'];
+
+// Fields outside the fingerprint that a resubmission may correct
+const getDetails = (query) => [
+  String(query.name || '').trim().toLowerCase(),
+  query.searchData?.people || 1,
+].join('|');
+
+class DuplicateDetector {
+  constructor(options = {}) {
+    this.mode = options.mode || process.env.DUPLICATE_MODE || 'suppress';
+    this.windowMs = options.windowMs || parseInt(process.env.DUPLICATE_WINDOW_MS, 10) || 900000; // 15 minutes
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Invalid DUPLICATE_MODE "${this.mode}". Must be one of: ${MODES.join(', ')}`);
+    }
+
+    // fingerprint -> { reference, timestamp, details, firstSeenAt, lastSeenAt, submissions }
+    this.entries = new Map();
+
+    this.stats = {
+      checked: 0,
+      duplicates: 0,
+      merged: 0,
+    };
+
+    // Cleanup expired entries every minute
+    this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
+  }
+
+  /**
+   * Claim a fingerprint for a new submission
+   *
+   * The claim is recorded straight away so two concurrent submissions can't
+   * both be treated as originals. Call release() if the save then fails.
+   *
+   * @param {Query} query - Validated query
+   * @returns {Object} { duplicate: false }, { duplicate: true, original } for
+   *   an exact repeat, or { duplicate: false, merged: true, original } for a
+   *   correction to save under the original's reference (merge mode)
+   */
+  claim(query) {
+    if (this.mode === 'off') {
+      return { duplicate: false };
+    }
+
+    this.stats.checked++;
+
+    const fingerprint = query.getFingerprint();
+    const details = getDetails(query);
+    const now = Date.now();
+    const existing = this.entries.get(fingerprint);
+
+    if (existing && !this.isExpired(existing, now)) {
+      if (existing.details === details) {
+        this.stats.duplicates++;
+        existing.submissions++;
+
+        if (this.mode === 'extend') {
+          existing.lastSeenAt = now;
+        }
+
+        return {
+          duplicate: true,
+          mode: this.mode,
+          original: { ...existing },
+        };
+      }
+
+      if (this.mode === 'merge') {
+        this.stats.merged++;
+        existing.submissions++;
+
+        const previousDetails = existing.details;
+        existing.details = details;
+
+        return {
+          duplicate: false,
+          merged: true,
+          previousDetails,
+          original: { ...existing },
+        };
+      }
+    }
+
+    this.entries.set(fingerprint, {
+      reference: query.reference,
+      timestamp: query.timestamp,
+      details,
+      firstSeenAt: now,
+      lastSeenAt: now,
+      submissions: 1,
+    });
+
+    return { duplicate: false };
+  }
+
+  /**
+   * Undo a claim whose save failed, so the user can retry
+   * @param {Query} query - The query passed to claim()
+   * @param {Object} claimed - What claim() returned
+   */
+  release(query, claimed) {
+    const fingerprint = query.getFingerprint();
+    const existing = this.entries.get(fingerprint);
+
+    if (!existing) return;
+
+    if (claimed?.merged) {
+      if (existing.reference === claimed.original.reference) {
+        existing.details = claimed.previousDetails;
+        existing.submissions--;
+      }
+      return;
+    }
+
+    if (existing.reference === query.reference) {
+      this.entries.delete(fingerprint);
+    }
+  }
+
+  isExpired(entry, now) {
+    const windowStart = this.mode === 'extend' ? entry.lastSeenAt : entry.firstSeenAt;
+    return now - windowStart > this.windowMs;
+  }
+
+  cleanup() {
+    const now = Date.now();
+
+    for (const [fingerprint, entry] of this.entries.entries()) {
+      if (this.isExpired(entry, now)) {
+        this.entries.delete(fingerprint);
+      }
+    }
+  }
+
+  /**
+   * Get detector statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      mode: this.mode,
+      windowMs: this.windowMs,
+      tracked: this.entries.size,
+    };
+  }
+
+  /**
+   * Cleanup on shutdown
+   */
+  destroy() {
+    clearInterval(this.cleanupInterval);
+    this.entries.clear();
+  }
+}
+
+module.exports = new DuplicateDetector();
@@ -1,9 +1,34 @@
 const { google } = require('googleapis');
+const metrics = require('../utils/metrics');
+
+const appendsTotal = metrics.counter({
+  name: 'sheets_append_requests_total',
+  help: 'Google Sheets append calls by result (success, failure)',
+  labelNames: ['result'],
+});
+
+const appendDuration = metrics.histogram({
+  name: 'sheets_append_duration_seconds',
+  help: 'Google Sheets append call latency by result',
+  labelNames: ['result'],
+});
+
+const appendedRows = metrics.counter({
+  name: 'sheets_appended_rows_total',
+  help: 'Rows appended to Google Sheets',
+});
+
+// With USER_ENTERED, Sheets parses "+919876543210" as a number (dropping the
+// "+") and "=..." as a formula. A leading apostrophe keeps the text as
+// typed and isn't part of the stored value, so rows read back unchanged.
+const toCellValue = (value) =>
+  (typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value);
 
 class GoogleSheetsService {
   constructor() {
     this.spreadsheetId = process.env.GOOGLE_SHEETS_SPREADSHEET_ID;
     this.sheetsClient = null;
+    this.auth = null;
   }
 
   getClient() {
@@ -24,30 +49,97 @@ class GoogleSheetsService {
       client_x509_cert_url: process.env.GOOGLE_CLIENT_CERT_URL,
     };
 
-    const auth = new google.auth.GoogleAuth({
+    this.auth = new google.auth.GoogleAuth({
       credentials,
       scopes: ['https://www.googleapis.com/auth/spreadsheets'],
     });
 
-    this.sheetsClient = google.sheets({ version: 'v4', auth });
+    this.sheetsClient = google.sheets({ version: 'v4', auth: this.auth });
     return this.sheetsClient;
   }
 
   async appendRow(sheetName, rowData) {
+    return this.appendRows(sheetName, [rowData]);
+  }
+
+  /**
+   * Append several rows to one sheet in a single API call
+   */
+  async appendRows(sheetName, rows) {
+    const endTimer = appendDuration.startTimer();
+
+    try {
+      const sheets = this.getClient();
+
+      const response = await sheets.spreadsheets.values.append({
+        spreadsheetId: this.spreadsheetId,
+        range: `${sheetName}!A:L`,
+        valueInputOption: 'USER_ENTERED',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: {
+          values: rows.map(row => row.map(toCellValue)),
+        },
+      });
+
+      endTimer({ result: 'success' });
+      appendsTotal.inc({ result: 'success' });
+      appendedRows.inc({}, rows.length);
+      return response.data;
+    } catch (error) {
+      endTimer({ result: 'failure' });
+      appendsTotal.inc({ result: 'failure' });
+      throw error;
+    }
+  }
+
+  /**
+   * Check that the service account can authenticate and open the spreadsheet
+   * (used by health checks; costs one token request and one metadata read)
+   * @returns {Object} { title, sheets } - spreadsheet title and sheet names
+   */
+  async checkAccess() {
+    if (!this.spreadsheetId) {
+      throw new Error('GOOGLE_SHEETS_SPREADSHEET_ID is not set');
+    }
+
+    const sheets = this.getClient();
+
+    try {
+      await this.auth.getAccessToken();
+    } catch (error) {
+      error.stage = 'auth';
+      throw error;
+    }
+
+    try {
+      const response = await sheets.spreadsheets.get({
+        spreadsheetId: this.spreadsheetId,
+        fields: 'properties.title,sheets.properties.title',
+      });
+
+      return {
+        title: response.data.properties?.title || null,
+        sheets: (response.data.sheets || []).map(sheet => sheet.properties.title),
+      };
+    } catch (error) {
+      error.stage = 'spreadsheet';
+      throw error;
+    }
+  }
+
+  /**
+   * Read every row of a sheet
+   */
+  async readRows(sheetName) {
     const sheets = this.getClient();
 
-    const response = await sheets.spreadsheets.values.append({
+    const response = await sheets.spreadsheets.values.get({
       spreadsheetId: this.spreadsheetId,
-      range: `${sheetName}!A:G`,
-      valueInputOption: 'USER_ENTERED',
-      insertDataOption: 'INSERT_ROWS',
-      requestBody: {
-        values: [rowData],
-      },
+      range: `${sheetName}!A:L`,
     });
 
-    return response.data;
+    return response.data.values || [];
   }
 }
 
-module.exports = new GoogleSheetsService();
\ No newline at end of file
+module.exports = new GoogleSheetsService();
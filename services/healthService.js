@@ -0,0 +1,222 @@
+const googleSheetsService = require('./googleSheetsService');
+const leadStore = require('./leadStore');
+const locationService = require('./locationService');
+const sheetsOutbox = require('./sheetsOutbox');
+const sheetsWriteBuffer = require('./sheetsWriteBuffer');
+const { SHEET_NAMES } = require('../models/Query');
+const logger = require('../utils/logger');
+
+const log = logger.child('HealthService');
+
+const STATUS_RANK = { ok: 0, skipped: 0, degraded: 1, down: 2 };
+
+/**
+ * Health checks
+ *
+ * - Liveness: the process is up and serving requests. Never looks at
+ *   dependencies, so a Sheets or provider outage can't get the pod restarted.
+ * - Readiness: this instance should receive traffic - it isn't shutting
+ *   down and can accept leads (the outbox is readable). Upstream outages only
+ *   degrade the detailed report: Sheets failures are absorbed by the outbox
+ *   and providers by fallback, and failing readiness for them would take
+ *   every instance out of rotation at once.
+ * - Report: every dependency with status ok | degraded | down (or skipped).
+ *
+ * Checks that call Google (auth and spreadsheet access) are cached for
+ * HEALTH_CHECK_CACHE_MS (default 60 seconds) and time out after
+ * HEALTH_CHECK_TIMEOUT_MS (default 5 seconds); concurrent probes share one
+ * run. Provider breaker state and the outbox are local and read every time.
+ */
+class HealthService {
+  constructor(options = {}) {
+    this.cacheTtlMs = options.cacheTtlMs || 60000;
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.shuttingDown = false;
+
+    this.cached = new Map(); // check name -> { result, expiresAt }
+    this.running = new Map(); // check name -> Promise
+  }
+
+  /**
+   * Stop reporting ready so load balancers drain this instance (on SIGTERM)
+   */
+  markShuttingDown() {
+    this.shuttingDown = true;
+  }
+
+  getLiveness() {
+    return {
+      status: 'ok',
+      uptime: process.uptime(),
+    };
+  }
+
+  /**
+   * @returns {Object} { ready, checks }
+   */
+  async getReadiness() {
+    const outbox = await this.checkOutbox();
+    const checks = {
+      shutdown: { status: this.shuttingDown ? 'down' : 'ok' },
+      outbox: outbox.status === 'down'
+        ? { status: 'down', error: outbox.error }
+        : { status: 'ok' },
+    };
+
+    return {
+      ready: Object.values(checks).every(check => check.status === 'ok'),
+      checks,
+    };
+  }
+
+  /**
+   * Detailed report of every dependency
+   * @returns {Object} { status, checks }
+   */
+  async getReport() {
+    const [sheets, outbox] = await Promise.all([
+      this.runCached('sheets', () => this.checkSheets()),
+      this.checkOutbox(),
+    ]);
+
+    const checks = {
+      sheets,
+      locations: this.checkLocations(),
+      outbox,
+    };
+
+    return {
+      status: this.combineStatus(Object.values(checks).map(check => check.status)),
+      checks,
+    };
+  }
+
+  /**
+   * Serve a check from cache, running it at most once at a time
+   */
+  async runCached(name, check) {
+    const cached = this.cached.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { ...cached.result, cached: true };
+    }
+
+    if (!this.running.has(name)) {
+      const run = this.withTimeout(check(), name)
+        .catch(error => ({ status: 'down', error: error.message }))
+        .then(result => {
+          const checked = { ...result, checkedAt: new Date().toISOString() };
+          this.cached.set(name, { result: checked, expiresAt: Date.now() + this.cacheTtlMs });
+          return checked;
+        })
+        .finally(() => this.running.delete(name));
+
+      this.running.set(name, run);
+    }
+
+    return { ...(await this.running.get(name)), cached: false };
+  }
+
+  withTimeout(promise, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${name} check timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Service account auth and spreadsheet access, and that every lead sheet exists
+   */
+  async checkSheets() {
+    if (!leadStore.getStore('sheets')) {
+      return { status: 'skipped', message: 'Google Sheets is not a configured lead store' };
+    }
+
+    const startedAt = Date.now();
+
+    try {
+      const { title, sheets } = await googleSheetsService.checkAccess();
+      const missingSheets = Object.values(SHEET_NAMES).filter(sheetName => !sheets.includes(sheetName));
+
+      return {
+        status: missingSheets.length > 0 ? 'degraded' : 'ok',
+        auth: 'ok',
+        spreadsheet: 'ok',
+        title,
+        missingSheets,
+        latencyMs: Date.now() - startedAt,
+      };
+    } catch (error) {
+      log.warn('Sheets health check failed', { stage: error.stage, error: error.message });
+
+      return {
+        status: 'down',
+        auth: { auth: 'failed', spreadsheet: 'ok' }[error.stage] || 'unknown',
+        spreadsheet: error.stage === 'spreadsheet' ? 'failed' : 'unknown',
+        error: error.message,
+        latencyMs: Date.now() - startedAt,
+      };
+    }
+  }
+
+  /**
+   * Provider circuit breakers and failure counts (no provider calls)
+   */
+  checkLocations() {
+    const stats = locationService.getStats();
+    const providers = stats.providers.map(provider => ({
+      key: provider.key,
+      enabled: provider.enabled,
+      circuit: provider.circuit,
+      failures: stats.providerFailures[provider.key],
+      lastFailure: stats.breakers[provider.key].lastFailure,
+    }));
+
+    const notClosed = providers.filter(provider => provider.enabled && provider.circuit !== 'closed');
+
+    return {
+      status: notClosed.length > 0 ? 'degraded' : 'ok',
+      ...(notClosed.length > 0 && {
+        message: `Circuit not closed for: ${notClosed.map(provider => provider.key).join(', ')}`,
+      }),
+      providers,
+    };
+  }
+
+  /**
+   * Rows waiting to be retried or dead-lettered
+   */
+  async checkOutbox() {
+    try {
+      const outbox = await sheetsOutbox.getStatus();
+      const oldestPending = outbox.pending.reduce(
+        (oldest, entry) => (!oldest || entry.createdAt < oldest ? entry.createdAt : oldest),
+        null
+      );
+
+      return {
+        status: outbox.pendingCount > 0 || outbox.deadLetterCount > 0 ? 'degraded' : 'ok',
+        pendingCount: outbox.pendingCount,
+        deadLetterCount: outbox.deadLetterCount,
+        oldestPendingAt: oldestPending,
+        buffer: sheetsWriteBuffer.getStats(),
+      };
+    } catch (error) {
+      log.error('Outbox health check failed', { error: error.message });
+      return { status: 'down', error: error.message };
+    }
+  }
+
+  combineStatus(statuses) {
+    return statuses.reduce(
+      (worst, status) => (STATUS_RANK[status] > STATUS_RANK[worst] ? status : worst),
+      'ok'
+    );
+  }
+}
+
+module.exports = new HealthService({
+  cacheTtlMs: parseInt(process.env.HEALTH_CHECK_CACHE_MS, 10) || undefined,
+  timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || undefined,
+});
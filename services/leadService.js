@@ -0,0 +1,114 @@
+const { Query, SHEET_NAMES } = require('../models/Query');
+const leadStore = require('./leadStore');
+
+const SORT_FIELDS = ['createdAt', 'name', 'date', 'checkIn', 'people'];
+
+/**
+ * Lead listing
+ *
+ * Reads rows back out of the configured lead store, parses them with the
+ * Query model and applies filtering, sorting and pagination in memory.
+ */
+class LeadService {
+  constructor() {
+    this.sortFields = SORT_FIELDS;
+  }
+
+  /**
+   * List saved leads
+   *
+   * @param {Object} filters
+   * @param {string} [filters.type] - flight | train | bus | hotel (all types if omitted)
+   * @param {string} [filters.reference] - Reference returned when the lead was saved
+   * @param {Date} [filters.startDate] - Only leads created at or after this time
+   * @param {Date} [filters.endDate] - Only leads created at or before this time
+   * @param {string} [filters.mobile] - Digits matching any part of the mobile number
+   * @param {string} [filters.from] - Case-insensitive match on origin
+   * @param {string} [filters.to] - Case-insensitive match on destination
+   * @param {string} [filters.location] - Case-insensitive match on hotel location
+   * @param {string} [filters.sortBy] - One of SORT_FIELDS (default createdAt)
+   * @param {string} [filters.order] - asc | desc (default desc)
+   * @param {number} [filters.page] - 1-based page number
+   * @param {number} [filters.limit] - Page size
+   * @returns {Object} Page of leads with pagination details
+   */
+  async list(filters = {}) {
+    const {
+      type,
+      sortBy = 'createdAt',
+      order = 'desc',
+      page = 1,
+      limit = 20,
+    } = filters;
+
+    const types = type ? [type] : Object.keys(SHEET_NAMES);
+
+    const rowsByType = await Promise.all(
+      types.map(async (leadType) => {
+        const rows = await leadStore.readRows(SHEET_NAMES[leadType]);
+        return rows
+          .map(row => Query.fromRowData(leadType, row))
+          .filter(Boolean);
+      })
+    );
+
+    const leads = rowsByType
+      .flat()
+      .filter(lead => this.matches(lead, filters));
+
+    leads.sort((a, b) => this.compare(a, b, sortBy) * (order === 'asc' ? 1 : -1));
+
+    const start = (page - 1) * limit;
+
+    return {
+      leads: leads.slice(start, start + limit),
+      pagination: {
+        page,
+        limit,
+        total: leads.length,
+        totalPages: Math.ceil(leads.length / limit),
+      },
+    };
+  }
+
+  matches(lead, filters) {
+    const { reference, startDate, endDate, mobile, from, to, location } = filters;
+    const createdAt = Date.parse(lead.createdAt);
+
+    if (reference && lead.reference !== reference) return false;
+
+    if (startDate && createdAt < startDate.getTime()) return false;
+    if (endDate && createdAt > endDate.getTime()) return false;
+
+    if (mobile && !lead.mobile.replace(/\D/g, '').includes(mobile)) {
+      return false;
+    }
+
+    if (from && !this.includesText(lead.from, from)) return false;
+    if (to && !this.includesText(lead.to, to)) return false;
+    if (location && !this.includesText(lead.location, location)) return false;
+
+    return true;
+  }
+
+  includesText(value, search) {
+    return typeof value === 'string' && value.toLowerCase().includes(search.toLowerCase());
+  }
+
+  compare(a, b, sortBy) {
+    const left = a[sortBy];
+    const right = b[sortBy];
+
+    if (left === right) return 0;
+    if (left === undefined || left === '') return 1;
+    if (right === undefined || right === '') return -1;
+
+    if (typeof left === 'number' && typeof right === 'number') {
+      return left - right;
+    }
+
+    return String(left).localeCompare(String(right));
+  }
+}
+
+module.exports = new LeadService();
@@ -0,0 +1,49 @@
+const path = require('path');
+const { JsonFile } = require('../../utils/jsonFile');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', '..', 'storage', 'leads.json');
+
+/**
+ * Local JSON file lead store
+ *
+ * Rows are kept per sheet name in a single JSON file, using the same
+ * column layout as the spreadsheet. Writes are atomic (see utils/jsonFile),
+ * so a crash mid-write never leaves a truncated file behind.
+ */
+class FileStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = options.filePath || DEFAULT_FILE_PATH;
+    this.file = new JsonFile(this.filePath, { indent: 2 });
+  }
+
+  async appendRow(sheetName, rowData) {
+    // Serialize writes so concurrent requests don't clobber each other
+    return this.file.exclusive(async () => {
+      const sheets = await this.load();
+
+      if (!sheets[sheetName]) {
+        sheets[sheetName] = [];
+      }
+
+      sheets[sheetName].push([...rowData]);
+      await this.file.write(sheets);
+
+      return {
+        sheet: sheetName,
+        rowNumber: sheets[sheetName].length,
+      };
+    });
+  }
+
+  async readRows(sheetName) {
+    const sheets = await this.load();
+    return sheets[sheetName] || [];
+  }
+
+  async load() {
+    return (await this.file.read()) || {};
+  }
+}
+
+module.exports = FileStore;
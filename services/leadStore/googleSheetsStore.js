@@ -0,0 +1,29 @@
+const googleSheetsService = require('../googleSheetsService');
+const sheetsWriteBuffer = require('../sheetsWriteBuffer');
+
+/**
+ * Google Sheets lead store
+ *
+ * Thin adapter so the sales team's spreadsheet can sit behind the
+ * same interface as the local stores. Rows are buffered and appended
+ * in per-sheet batches; batches that Sheets rejects are handed to the
+ * outbox and retried in the background. appendRow resolves when the
+ * row's batch is written ({ batched: true, queued: false }) or the row is
+ * in the outbox ({ batched: true, queued: true }); buffered rows are held
+ * only in memory until then (see sheetsWriteBuffer).
+ */
+class GoogleSheetsStore {
+  constructor() {
+    this.name = 'sheets';
+  }
+
+  async appendRow(sheetName, rowData) {
+    return sheetsWriteBuffer.add(sheetName, rowData);
+  }
+
+  async readRows(sheetName) {
+    return googleSheetsService.readRows(sheetName);
+  }
+}
+
+module.exports = GoogleSheetsStore;
@@ -0,0 +1,115 @@
+const GoogleSheetsStore = require('./googleSheetsStore');
+const FileStore = require('./fileStore');
+const MemoryStore = require('./memoryStore');
+const logger = require('../../utils/logger');
+
+const log = logger.child('LeadStore');
+
+/**
+ * Lead storage
+ *
+ * Every backend implements the same interface:
+ * - name: short identifier used in config and logs
+ * - appendRow(sheetName, rowData): persist one row in the given sheet
+ * - readRows(sheetName): every stored row of the given sheet
+ *
+ * Backends are selected with LEAD_STORES (comma-separated, in order):
+ *   sheets - Google Sheets (default)
+ *   file   - local JSON file (LEAD_STORE_FILE, defaults to storage/leads.json)
+ *   memory - in-process store for tests
+ *
+ * When more than one backend is configured, each row is written to all of
+ * them. The write only fails if every backend fails. Reads are served by
+ * LEAD_READ_STORE, or the first configured backend if it isn't set.
+ */
+
+const STORE_FACTORIES = {
+  sheets: () => new GoogleSheetsStore(),
+  file: () => new FileStore({ filePath: process.env.LEAD_STORE_FILE }),
+  memory: () => new MemoryStore(),
+};
+
+class LeadStore {
+  constructor(storeNames, readStoreName) {
+    this.stores = storeNames.map(storeName => {
+      const factory = STORE_FACTORIES[storeName];
+
+      if (!factory) {
+        throw new Error(
+          `Unknown lead store "${storeName}". Must be one of: ${Object.keys(STORE_FACTORIES).join(', ')}`
+        );
+      }
+
+      return factory();
+    });
+
+    if (this.stores.length === 0) {
+      throw new Error('At least one lead store must be configured');
+    }
+
+    this.readStore = readStoreName ? this.getStore(readStoreName) : this.stores[0];
+
+    if (!this.readStore) {
+      throw new Error(`Lead read store "${readStoreName}" is not one of the configured stores`);
+    }
+  }
+
+  /**
+   * Append a row to every configured store
+   * @returns {Object} Per-store results
+   */
+  async appendRow(sheetName, rowData) {
+    const outcomes = await Promise.allSettled(
+      this.stores.map(store => store.appendRow(sheetName, rowData))
+    );
+
+    const results = outcomes.map((outcome, index) => ({
+      store: this.stores[index].name,
+      success: outcome.status === 'fulfilled',
+      ...(outcome.status === 'fulfilled'
+        ? { response: outcome.value }
+        : { error: outcome.reason.message }),
+    }));
+
+    results
+      .filter(result => !result.success)
+      .forEach(result => {
+        log.error('Store failed to save row', { store: result.store, sheet: sheetName, error: result.error });
+      });
+
+    if (results.every(result => !result.success)) {
+      throw outcomes[0].reason;
+    }
+
+    return { results };
+  }
+
+  /**
+   * Read every row of a sheet from the read store
+   */
+  async readRows(sheetName) {
+    return this.readStore.readRows(sheetName);
+  }
+
+  /**
+   * Get a configured store by name
+   */
+  getStore(storeName) {
+    return this.stores.find(store => store.name === storeName) || null;
+  }
+
+  getStoreNames() {
+    return this.stores.map(store => store.name);
+  }
+}
+
+const parseStoreNames = (value) =>
+  (value || 'sheets')
+    .split(',')
+    .map(storeName => storeName.trim().toLowerCase())
+    .filter(Boolean);
+
+module.exports = new LeadStore(
+  parseStoreNames(process.env.LEAD_STORES),
+  process.env.LEAD_READ_STORE?.trim().toLowerCase()
+);
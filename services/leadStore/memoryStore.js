@@ -0,0 +1,38 @@
+/**
+ * In-memory lead store
+ *
+ * Keeps rows in a plain object keyed by sheet name. Nothing survives a
+ * restart, so this is meant for tests and throwaway local runs.
+ */
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.sheets = {};
+  }
+
+  async appendRow(sheetName, rowData) {
+    if (!this.sheets[sheetName]) {
+      this.sheets[sheetName] = [];
+    }
+
+    this.sheets[sheetName].push([...rowData]);
+
+    return {
+      sheet: sheetName,
+      rowNumber: this.sheets[sheetName].length,
+    };
+  }
+
+  async readRows(sheetName) {
+    return (this.sheets[sheetName] || []).map(row => [...row]);
+  }
+
+  /**
+   * Drop all stored rows (useful for testing)
+   */
+  clear() {
+    this.sheets = {};
+  }
+}
+
+module.exports = MemoryStore;
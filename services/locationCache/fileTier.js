@@ -0,0 +1,139 @@
+const path = require('path');
+const { JsonFile } = require('../../utils/jsonFile');
+const logger = require('../../utils/logger');
+
+const log = logger.child('LocationCache');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', '..', 'storage', 'location-cache.json');
+
+/**
+ * Local JSON file cache tier
+ *
+ * Keeps the cache across restarts of a single instance. Entries are held
+ * in memory and written out at most once per saveDelayMs; writes are
+ * atomic (see utils/jsonFile), so a crash mid-write never leaves a
+ * truncated file behind. Once maxEntries is exceeded the entries closest
+ * to expiry are dropped.
+ */
+class FileTier {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = options.filePath || DEFAULT_FILE_PATH;
+    this.file = new JsonFile(this.filePath);
+    this.maxEntries = options.maxEntries || 10000;
+    this.saveDelayMs = options.saveDelayMs || 5000;
+
+    this.entries = null; // loaded on first use
+    this.loading = null;
+    this.saveTimer = null;
+  }
+
+  async get(key) {
+    const entries = await this.load();
+    const entry = entries.get(key);
+
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  async getMany(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async set(key, entry) {
+    const entries = await this.load();
+    entries.set(key, entry);
+    this.scheduleSave();
+  }
+
+  async clear() {
+    const entries = await this.load();
+    entries.clear();
+    await this.flush();
+  }
+
+  async load() {
+    if (this.entries) return this.entries;
+
+    if (!this.loading) {
+      this.loading = this.read().then(entries => {
+        this.entries = entries;
+        return entries;
+      });
+    }
+
+    return this.loading;
+  }
+
+  async read() {
+    try {
+      const entries = (await this.file.read()) || {};
+      const now = Date.now();
+
+      return new Map(
+        Object.entries(entries).filter(([, entry]) => entry.expiresAt > now)
+      );
+    } catch (error) {
+      log.error('Could not read cache file, starting empty', { file: this.filePath, error: error.message });
+      return new Map();
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush().catch(error => {
+        log.error('Failed to save file cache', { file: this.filePath, error: error.message });
+      });
+    }, this.saveDelayMs);
+
+    // Don't keep the process alive just to save the cache
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write the cache to disk now
+   */
+  async flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    if (!this.entries) return;
+
+    return this.file.exclusive(() => this.save());
+  }
+
+  async save() {
+    const now = Date.now();
+    const live = [...this.entries.entries()]
+      .filter(([, entry]) => entry.expiresAt > now)
+      .sort(([, a], [, b]) => b.expiresAt - a.expiresAt)
+      .slice(0, this.maxEntries);
+
+    this.entries = new Map(live);
+
+    await this.file.write(Object.fromEntries(live));
+  }
+
+  getStats() {
+    return {
+      size: this.entries ? this.entries.size : null,
+      maxEntries: this.maxEntries,
+      filePath: this.filePath,
+    };
+  }
+
+  async close() {
+    await this.flush();
+  }
+}
+
+module.exports = FileTier;
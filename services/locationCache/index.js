@@ -0,0 +1,245 @@
+const MemoryTier = require('./memoryTier');
+const FileTier = require('./fileTier');
+const RedisTier = require('./redisTier');
+const logger = require('../../utils/logger');
+
+const log = logger.child('LocationCache');
+
+/**
+ * Location result cache
+ *
+ * Two tiers: an in-process LRU (LOCATION_CACHE_MAX_ENTRIES, default 500)
+ * in front of an optional persistent tier chosen with LOCATION_CACHE_STORE:
+ *   file  - local JSON file (LOCATION_CACHE_FILE, defaults to storage/location-cache.json)
+ *   redis - Redis-compatible server shared by every instance
+ *           (LOCATION_CACHE_REDIS_URL, falling back to REDIS_URL)
+ * Unset means memory only. Persistent tier hits are copied into memory.
+ * Persistent tier errors are logged and treated as misses, so a cache
+ * outage never fails a search.
+ *
+ * Every tier implements:
+ * - name: short identifier used in config and stats
+ * - get(key) / getMany(keys): live entries (null for misses)
+ * - set(key, entry): store an entry until entry.expiresAt
+ * - clear(), getStats(), close()
+ *
+ * TTLs: LOCATION_CACHE_TTL_MS (default 1 hour), overridden per search type
+ * with LOCATION_CACHE_TYPE_TTLS and per provider with
+ * LOCATION_CACHE_PROVIDER_TTLS (provider wins), both as key=ms lists,
+ * e.g. LOCATION_CACHE_PROVIDER_TTLS=airports=604800000,stations=604800000
+ * Reverse geocoding results use the type "reverse". Answers from a
+ * fallback provider (the preferred one failed) are kept for at most
+ * LOCATION_CACHE_FALLBACK_TTL_MS (default 5 minutes).
+ */
+
+const TIER_FACTORIES = {
+  file: () => new FileTier({ filePath: process.env.LOCATION_CACHE_FILE }),
+  redis: () => new RedisTier({
+    url: process.env.LOCATION_CACHE_REDIS_URL || process.env.REDIS_URL,
+    keyPrefix: process.env.LOCATION_CACHE_REDIS_PREFIX,
+  }),
+};
+
+/**
+ * Parse "key=ms,key=ms" into { key: ms }
+ */
+const parseTtls = (value, variable) => {
+  const ttls = {};
+
+  (value || '')
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .forEach(pair => {
+      const [key, ms] = pair.split('=').map(part => part.trim());
+      const ttl = parseInt(ms, 10);
+
+      if (!key || !(ttl > 0)) {
+        throw new Error(`Invalid ${variable} entry "${pair}". Expected key=milliseconds`);
+      }
+
+      ttls[key.toLowerCase()] = ttl;
+    });
+
+  return ttls;
+};
+
+class LocationCache {
+  constructor(options = {}) {
+    this.memory = new MemoryTier({ maxEntries: options.maxEntries });
+
+    this.persistent = null;
+    if (options.store) {
+      const factory = TIER_FACTORIES[options.store];
+
+      if (!factory) {
+        throw new Error(
+          `Unknown location cache store "${options.store}". Must be one of: ${Object.keys(TIER_FACTORIES).join(', ')}`
+        );
+      }
+
+      this.persistent = factory();
+    }
+
+    this.defaultTtl = options.defaultTtl || 3600000; // 1 hour
+    this.typeTtls = options.typeTtls || {};
+    this.providerTtls = options.providerTtls || {};
+    this.fallbackTtl = options.fallbackTtl || 300000; // 5 minutes
+
+    this.stats = {
+      memoryHits: 0,
+      persistentHits: 0,
+      misses: 0,
+      persistentErrors: 0,
+    };
+
+    // Clean expired memory entries every 10 minutes
+    this.cleanupInterval = setInterval(() => {
+      const removed = this.memory.prune();
+
+      if (removed > 0) {
+        log.info('Cache cleanup', { removed });
+      }
+    }, 600000);
+  }
+
+  /**
+   * @returns {Object|null} { data, complete, provider, storedAt, expiresAt }
+   */
+  async get(key) {
+    const [entry] = await this.getMany([key]);
+    return entry;
+  }
+
+  /**
+   * Look up several keys at once (one round trip to the persistent tier)
+   * @returns {Array} Entries in key order, null for misses
+   */
+  async getMany(keys) {
+    const entries = await this.memory.getMany(keys);
+
+    // Positions missed in memory (keys may repeat, so track indexes, not keys)
+    const missingIndexes = keys.map((key, index) => index).filter(index => !entries[index]);
+
+    entries.forEach(entry => {
+      if (entry) this.stats.memoryHits++;
+    });
+
+    if (this.persistent && missingIndexes.length > 0) {
+      let found = [];
+
+      try {
+        found = await this.persistent.getMany(missingIndexes.map(index => keys[index]));
+      } catch (error) {
+        this.stats.persistentErrors++;
+        log.error('Persistent tier read failed', { store: this.persistent.name, error: error.message });
+      }
+
+      found.forEach((entry, position) => {
+        if (!entry) return;
+
+        const index = missingIndexes[position];
+        entries[index] = entry;
+        this.memory.set(keys[index], entry);
+        this.stats.persistentHits++;
+      });
+    }
+
+    entries.forEach(entry => {
+      if (!entry) this.stats.misses++;
+    });
+
+    return entries;
+  }
+
+  /**
+   * @param {string} key
+   * @param {Array} data - Results to cache
+   * @param {Object} meta
+   * @param {string} meta.provider - Key of the provider that answered
+   * @param {string} meta.type - Search type, or "reverse"
+   * @param {boolean} [meta.complete] - data holds every match for the query
+   * @param {boolean} [meta.fallback] - answered by a fallback provider
+   */
+  async set(key, data, { provider, type, complete = false, fallback = false }) {
+    const storedAt = Date.now();
+    const entry = {
+      data,
+      complete,
+      provider,
+      storedAt,
+      expiresAt: storedAt + this.getTtl(provider, type, fallback),
+    };
+
+    await this.memory.set(key, entry);
+
+    if (this.persistent) {
+      try {
+        await this.persistent.set(key, entry);
+      } catch (error) {
+        this.stats.persistentErrors++;
+        log.error('Persistent tier write failed', { store: this.persistent.name, error: error.message });
+      }
+    }
+  }
+
+  getTtl(provider, type, fallback = false) {
+    const ttl = this.providerTtls[provider] || this.typeTtls[type || 'default'] || this.defaultTtl;
+    return fallback ? Math.min(ttl, this.fallbackTtl) : ttl;
+  }
+
+  async clear() {
+    await this.memory.clear();
+
+    if (this.persistent) {
+      try {
+        await this.persistent.clear();
+      } catch (error) {
+        this.stats.persistentErrors++;
+        log.error('Persistent tier clear failed', { store: this.persistent.name, error: error.message });
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      memory: this.memory.getStats(),
+      persistent: this.persistent
+        ? { store: this.persistent.name, ...this.persistent.getStats() }
+        : null,
+      ttl: {
+        default: this.defaultTtl,
+        types: this.typeTtls,
+        providers: this.providerTtls,
+        fallback: this.fallbackTtl,
+      },
+    };
+  }
+
+  resetStats() {
+    Object.keys(this.stats).forEach(key => {
+      this.stats[key] = 0;
+    });
+  }
+
+  /**
+   * Flush the persistent tier and stop timers (on shutdown)
+   */
+  async close() {
+    clearInterval(this.cleanupInterval);
+
+    if (this.persistent) {
+      await this.persistent.close();
+    }
+  }
+}
+
+module.exports = new LocationCache({
+  store: process.env.LOCATION_CACHE_STORE?.trim().toLowerCase(),
+  maxEntries: parseInt(process.env.LOCATION_CACHE_MAX_ENTRIES, 10) || undefined,
+  defaultTtl: parseInt(process.env.LOCATION_CACHE_TTL_MS, 10) || undefined,
+  fallbackTtl: parseInt(process.env.LOCATION_CACHE_FALLBACK_TTL_MS, 10) || undefined,
+  typeTtls: parseTtls(process.env.LOCATION_CACHE_TYPE_TTLS, 'LOCATION_CACHE_TYPE_TTLS'),
+  providerTtls: parseTtls(process.env.LOCATION_CACHE_PROVIDER_TTLS, 'LOCATION_CACHE_PROVIDER_TTLS'),
+});
@@ -0,0 +1,79 @@
+/**
+ * In-process LRU cache tier
+ *
+ * A Map keeps insertion order, so moving an entry to the end on every read
+ * makes the first key the least recently used one.
+ */
+class MemoryTier {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry;
+  }
+
+  async getMany(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Drop expired entries
+   * @returns {number} Entries removed
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      evictions: this.evictions,
+    };
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryTier;
@@ -0,0 +1,60 @@
+const { createRedisClient, closeRedisClient } = require('../../utils/redisClient');
+
+/**
+ * Redis-compatible cache tier, shared by every instance
+ *
+ * Entries are stored as JSON under keyPrefix + key with a PX expiry, so the
+ * server drops them on its own.
+ */
+class RedisTier {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.keyPrefix = options.keyPrefix || 'location-cache:';
+    this.client = options.client || createRedisClient(options.url, { name: 'location-cache' });
+  }
+
+  async get(key) {
+    const [entry] = await this.getMany([key]);
+    return entry;
+  }
+
+  async getMany(keys) {
+    if (keys.length === 0) return [];
+
+    const values = await this.client.mget(keys.map(key => this.keyPrefix + key));
+    return values.map(value => (value ? JSON.parse(value) : null));
+  }
+
+  async set(key, entry) {
+    const ttlMs = Math.max(1, entry.expiresAt - Date.now());
+    await this.client.set(this.keyPrefix + key, JSON.stringify(entry), 'PX', ttlMs);
+  }
+
+  /**
+   * Delete every key under the prefix (SCAN, so the server isn't blocked)
+   */
+  async clear() {
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await this.client.scan(cursor, 'MATCH', `${this.keyPrefix}*`, 'COUNT', 500);
+      if (keys.length > 0) {
+        await this.client.del(...keys);
+      }
+      cursor = nextCursor;
+    } while (cursor !== '0');
+  }
+
+  getStats() {
+    return {
+      keyPrefix: this.keyPrefix,
+      connected: this.client.status === 'ready',
+    };
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+module.exports = RedisTier;
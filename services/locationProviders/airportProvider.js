@@ -0,0 +1,122 @@
+const BaseProvider = require('./baseProvider');
+const { normalizeText, matchesAllTokens } = require('../../utils/text');
+const airports = require('../../data/airports.json');
+
+/**
+ * Offline airport index for type=flight
+ *
+ * Answers from the bundled data/airports.json, matching on IATA/ICAO code,
+ * city (including former names such as Bombay) and airport name. No
+ * network calls, so it has no rate limit.
+ */
+class AirportProvider extends BaseProvider {
+  constructor() {
+    super({
+      key: 'airports',
+      name: 'Airports',
+      types: ['flight'],
+      rateLimit: null,
+      prefixSearch: true,
+    });
+
+    this.index = airports.map((airport, rank) => {
+      const city = normalizeText(airport.city);
+      // Localized city names ("मुंबई") match like aliases
+      const aliases = [...airport.aliases, ...Object.values(airport.cityNames || {})].map(normalizeText);
+      const name = normalizeText(airport.name);
+      const localNames = Object.values(airport.names || {}).map(normalizeText);
+
+      return {
+        airport,
+        rank,
+        iata: airport.iata.toLowerCase(),
+        icao: airport.icao.toLowerCase(),
+        city,
+        aliases,
+        name,
+        localNames,
+        text: [airport.iata.toLowerCase(), city, ...aliases, name, ...localNames].join(' '),
+      };
+    });
+  }
+
+  async search(query, type, options = {}) {
+    const q = normalizeText(query);
+    if (!q) return [];
+
+    const matches = this.index
+      .filter(({ airport }) => this.matchesRestrictions(airport.countryCode, airport.latitude, airport.longitude, options))
+      .map(entry => ({ entry, score: this.score(entry, q) }))
+      .filter(match => match.score > 0)
+      .map(match => ({
+        ...match,
+        score: match.score + this.proximityBonus(match.entry.airport.latitude, match.entry.airport.longitude, options),
+      }))
+      .sort((a, b) => b.score - a.score || a.entry.rank - b.entry.rank)
+      .slice(0, this.resultLimit);
+
+    return this.normalize(matches.map(match => match.entry.airport), options);
+  }
+
+  supportsLookup() {
+    return true;
+  }
+
+  async lookup(iata, options = {}) {
+    const entry = this.index.find(candidate => candidate.airport.iata === iata);
+
+    if (!entry) {
+      return null;
+    }
+
+    const [location] = this.normalize([entry.airport], options);
+    return { ...location, details: { ...entry.airport } };
+  }
+
+  /**
+   * Rank a match: exact codes first, then city, then airport name
+   */
+  score(entry, q) {
+    if (q === entry.iata) return 100;
+    if (q === entry.icao) return 95;
+    if (q === entry.city || entry.aliases.includes(q)) return 90;
+    if (entry.city.startsWith(q) || entry.aliases.some(alias => alias.startsWith(q))) return 70;
+    if (entry.name.startsWith(q) || entry.localNames.some(name => name.startsWith(q))) return 65;
+    if (q.length <= 3 && entry.iata.startsWith(q)) return 50;
+    if (matchesAllTokens(entry.text, q)) return 30;
+    return 0;
+  }
+
+  normalize(data, options = {}) {
+    const { lang } = options;
+
+    return data.map(airport => {
+      const name = this.localize(airport.names, airport.name, lang);
+      const city = this.localize(airport.cityNames, airport.city, lang);
+      const country = this.localizeCountry(airport.countryCode, airport.country, lang);
+
+      return {
+        id: this.createId(airport.iata),
+        name,
+        city,
+        state: this.localizeRegion(airport.state, lang),
+        country,
+        displayName: this.formatDisplayName(
+          `${name} (${airport.iata})`,
+          null,
+          city,
+          country
+        ),
+        latitude: airport.latitude,
+        longitude: airport.longitude,
+        type: 'airport',
+        code: airport.iata,
+        iata: airport.iata,
+        icao: airport.icao,
+        countryCode: airport.countryCode,
+      };
+    });
+  }
+}
+
+module.exports = AirportProvider;
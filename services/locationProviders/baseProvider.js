@@ -0,0 +1,198 @@
+const axios = require('axios');
+const { haversineKm, isInBoundingBox } = require('../../utils/geo');
+const regionNames = require('../../data/regionNames.json');
+
+// Proximity bias for offline providers: up to this many score points,
+// fading out linearly over PROXIMITY_RANGE_KM
+const PROXIMITY_BONUS = 25;
+const PROXIMITY_RANGE_KM = 1000;
+
+/**
+ * Base class for location autocomplete providers
+ *
+ * A provider has to supply:
+ * - key: short identifier used in config, stats and cache keys
+ * - name: human-readable name reported as the result source
+ * - rateLimit: { requests, window } allowed by the provider's usage policy
+ * - search(query, type, options): fetch raw results and return normalize()d locations.
+ *   options.signal is an AbortSignal that must be passed on to the HTTP call
+ *   so a losing hedged request can be cancelled
+ * - normalize(data): map the provider's response to the common location shape
+ *
+ * and may override isEnabled() when it depends on configuration (API keys).
+ *
+ * Providers that can reverse geocode also implement
+ * reverse(lat, lon, options) returning the same normalized shape, nearest
+ * place first, and override supportsReverse() to return true.
+ *
+ * Providers that only make sense for some search types (e.g. airports for
+ * flights) set options.types; they are skipped for every other type.
+ * options.priorityTypes moves a provider to the front of the order for
+ * those types. Offline providers set rateLimit to null.
+ *
+ * options.resultLimit is the most results search() returns. Providers whose
+ * search matches by prefix set options.prefixSearch, telling LocationService
+ * that fewer than resultLimit results for "del" are every match for "del",
+ * so it can answer "delhi" from that cached answer. That is only trusted
+ * for the types a provider is limited to (airports for flights, stations
+ * for trains): a general provider's index may be missing places the others
+ * know.
+ *
+ * search() options may also carry the caller's restrictions, which
+ * providers map to their native parameters where they have one:
+ * - bias: { lat, lon } - prefer results near this point
+ * - countries: ISO 3166-1 alpha-2 codes (upper case) to restrict to
+ * - bbox: [minLon, minLat, maxLon, maxLat] to restrict to
+ * LocationService re-applies countries/bbox to every provider's results, so
+ * results must carry countryCode.
+ *
+ * options.lang (search, reverse and lookup) is the language names should be
+ * returned in, as a primary ISO 639 subtag ("hi"). Providers that can't
+ * serve it fall back to their closest option; offline providers use the
+ * names.<lang> of their datasets and data/regionNames.json.
+ *
+ * Normalized location shape:
+ *   { id, name, city, state, country, countryCode, displayName, latitude, longitude, type }
+ *
+ * id is stable across requests: "<provider key>:<provider's own id>"
+ * (e.g. "nominatim:R1953", "airports:BOM"). Providers resolve their own ids
+ * with lookup(nativeId, options), returning one normalized location with a
+ * details object, or null if the id doesn't exist. A provider whose ids are
+ * resolved by another provider sets options.lookupProvider to that key.
+ */
+class BaseProvider {
+  constructor(options = {}) {
+    this.key = options.key;
+    this.name = options.name;
+    this.baseUrl = options.baseUrl;
+    this.timeout = options.timeout || 5000;
+    this.types = options.types || null;
+    this.priorityTypes = options.priorityTypes || [];
+    this.lookupProvider = options.lookupProvider || null;
+    this.resultLimit = options.resultLimit || 10;
+    this.prefixSearch = options.prefixSearch || false;
+    this.rateLimit = options.rateLimit !== undefined ? options.rateLimit : { requests: 60, window: 60000 };
+    this.headers = options.headers || {};
+  }
+
+  isEnabled() {
+    return true;
+  }
+
+  supportsType(type) {
+    return !this.types || this.types.includes(type);
+  }
+
+  supportsReverse() {
+    return false;
+  }
+
+  supportsLookup() {
+    return false;
+  }
+
+  /**
+   * Build a stable location id from the provider's own id
+   */
+  createId(nativeId) {
+    return nativeId !== undefined && nativeId !== null && nativeId !== ''
+      ? `${this.key}:${nativeId}`
+      : null;
+  }
+
+  isPriorityFor(type) {
+    return this.priorityTypes.includes(type);
+  }
+
+  /**
+   * Whether this provider's index covers every place of the type
+   * (it only serves selected types and the type is one of them)
+   */
+  isAuthoritativeFor(type) {
+    return this.types !== null && this.types.includes(type);
+  }
+
+  async search() {
+    throw new Error(`${this.name} provider does not implement search()`);
+  }
+
+  normalize() {
+    throw new Error(`${this.name} provider does not implement normalize()`);
+  }
+
+  /**
+   * Whether a candidate passes options.countries / options.bbox
+   * (for providers that filter their own data)
+   */
+  matchesRestrictions(countryCode, lat, lon, options = {}) {
+    if (options.countries && !options.countries.includes(countryCode)) {
+      return false;
+    }
+
+    if (options.bbox && !isInBoundingBox(lat, lon, options.bbox)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Score bonus for candidates near options.bias (0 without a bias)
+   */
+  proximityBonus(lat, lon, options = {}) {
+    if (!options.bias || typeof lat !== 'number' || typeof lon !== 'number') {
+      return 0;
+    }
+
+    const distanceKm = haversineKm(options.bias.lat, options.bias.lon, lat, lon);
+    return PROXIMITY_BONUS * Math.max(0, 1 - distanceKm / PROXIMITY_RANGE_KM);
+  }
+
+  /**
+   * Localized name from a dataset entry's names map ({ hi: "..." })
+   */
+  localize(names, fallback, lang) {
+    return (names && lang && names[lang]) || fallback;
+  }
+
+  localizeRegion(region, lang) {
+    return (region && regionNames[lang]?.regions[region]) || region;
+  }
+
+  localizeCountry(countryCode, country, lang) {
+    return (countryCode && regionNames[lang]?.countries[countryCode]) || country;
+  }
+
+  /**
+   * GET helper with the provider's timeout and headers
+   * (array params are sent as repeated keys: a=1&a=2)
+   */
+  async get(url, params, options = {}) {
+    const response = await axios.get(url, {
+      params,
+      paramsSerializer: { indexes: null },
+      timeout: this.timeout,
+      headers: this.headers,
+      signal: options.signal,
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Format display name consistently
+   */
+  formatDisplayName(name, city, state, country) {
+    const parts = [];
+    
+    if (name) parts.push(name);
+    else if (city) parts.push(city);
+    
+    if (state) parts.push(state);
+    if (country) parts.push(country);
+    
+    return parts.join(', ');
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,185 @@
+const BaseProvider = require('./baseProvider');
+const { normalizeText } = require('../../utils/text');
+const { haversineKm } = require('../../utils/geo');
+const places = require('../../data/gazetteer.json');
+
+const MAX_REVERSE_DISTANCE_KM = 100;
+
+/**
+ * Offline gazetteer of cities and towns
+ *
+ * Answers from the bundled data/gazetteer.json. By default it is only the
+ * last fallback, so the form keeps working when every network provider is
+ * down or rate limited; with a few hundred places it would hide the fuller
+ * network results if it answered first. GAZETTEER_PRIORITY_TYPES
+ * (e.g. "bus,hotel") moves it to the front for those search types, for
+ * deployments that would rather save the network calls.
+ *
+ * Prefix search runs against a sorted key list (names, later words of
+ * multi-word names and aliases) with a binary search, so it is cheap
+ * enough to serve every keystroke.
+ */
+class GazetteerProvider extends BaseProvider {
+  constructor() {
+    super({
+      key: 'gazetteer',
+      name: 'Gazetteer',
+      priorityTypes: (process.env.GAZETTEER_PRIORITY_TYPES || '')
+        .split(',')
+        .map(type => type.trim().toLowerCase())
+        .filter(Boolean),
+      rateLimit: null,
+      prefixSearch: true,
+    });
+
+    this.keys = [];
+
+    places.forEach((place, placeIndex) => {
+      // The English name and every localized name ("मुंबई") are searchable
+      [place.name, ...Object.values(place.names || {})].forEach(placeName => {
+        const name = normalizeText(placeName);
+
+        this.addKey(name, placeIndex, 'name');
+
+        // "delhi" should find "New Delhi"
+        name.split(' ').slice(1).forEach((word, wordIndex, words) => {
+          this.addKey(words.slice(wordIndex).join(' '), placeIndex, 'word');
+        });
+      });
+
+      place.aliases.forEach(alias => this.addKey(normalizeText(alias), placeIndex, 'alias'));
+    });
+
+    this.keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  }
+
+  addKey(key, placeIndex, kind) {
+    if (key) {
+      this.keys.push({ key, placeIndex, kind });
+    }
+  }
+
+  async search(query, type, options = {}) {
+    const q = normalizeText(query);
+    if (!q) return [];
+
+    // placeIndex -> best score
+    const matches = new Map();
+
+    for (let i = this.lowerBound(q); i < this.keys.length && this.keys[i].key.startsWith(q); i++) {
+      const { key, placeIndex, kind } = this.keys[i];
+      const place = places[placeIndex];
+
+      if (!this.matchesRestrictions(place.countryCode, place.latitude, place.longitude, options)) {
+        continue;
+      }
+
+      const score = this.score(key, kind, q) +
+        this.proximityBonus(place.latitude, place.longitude, options);
+
+      if (score > (matches.get(placeIndex) || 0)) {
+        matches.set(placeIndex, score);
+      }
+    }
+
+    const results = [...matches.entries()]
+      .sort(([a, scoreA], [b, scoreB]) => scoreB - scoreA || places[b].population - places[a].population)
+      .slice(0, this.resultLimit)
+      .map(([placeIndex]) => places[placeIndex]);
+
+    return this.normalize(results, options);
+  }
+
+  supportsReverse() {
+    return true;
+  }
+
+  /**
+   * Nearest places to a coordinate, within MAX_REVERSE_DISTANCE_KM
+   */
+  async reverse(lat, lon, options = {}) {
+    const nearest = places
+      .map(place => ({ place, distanceKm: haversineKm(lat, lon, place.latitude, place.longitude) }))
+      .filter(match => match.distanceKm <= MAX_REVERSE_DISTANCE_KM)
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, 5);
+
+    return this.normalize(nearest.map(match => match.place), options).map((location, index) => ({
+      ...location,
+      distanceKm: Math.round(nearest[index].distanceKm * 10) / 10,
+    }));
+  }
+
+  supportsLookup() {
+    return true;
+  }
+
+  async lookup(placeId, options = {}) {
+    const place = places.find(candidate => candidate.id === placeId);
+
+    if (!place) {
+      return null;
+    }
+
+    const [location] = this.normalize([place], options);
+    return { ...location, details: { ...place } };
+  }
+
+  /**
+   * First key that is >= q
+   */
+  lowerBound(q) {
+    let low = 0;
+    let high = this.keys.length;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.keys[mid].key < q) low = mid + 1;
+      else high = mid;
+    }
+
+    return low;
+  }
+
+  /**
+   * Exact matches first, then prefixes of the name, aliases and later words
+   */
+  score(key, kind, q) {
+    const exact = key === q;
+
+    if (kind === 'name') return exact ? 100 : 70;
+    if (kind === 'alias') return exact ? 90 : 60;
+    return exact ? 80 : 50;
+  }
+
+  normalize(data, options = {}) {
+    const { lang } = options;
+
+    return data.map(place => {
+      const name = this.localize(place.names, place.name, lang);
+      const state = this.localizeRegion(place.state, lang);
+      const country = this.localizeCountry(place.countryCode, place.country, lang);
+
+      return {
+        id: this.createId(place.id),
+        name,
+        city: name,
+        state,
+        country,
+        displayName: this.formatDisplayName(
+          name,
+          null,
+          state,
+          country
+        ),
+        latitude: place.latitude,
+        longitude: place.longitude,
+        type: 'city',
+        population: place.population,
+        countryCode: place.countryCode,
+      };
+    });
+  }
+}
+
+module.exports = GazetteerProvider;
@@ -0,0 +1,165 @@
+const BaseProvider = require('./baseProvider');
+
+// Languages GeoDB has display names for
+const SUPPORTED_LANGUAGES = ['de', 'en', 'es', 'fr', 'it', 'pt', 'ru'];
+
+/**
+ * GeoDB Cities (RapidAPI free tier) - API key required, 1 request per second
+ */
+class GeoDBProvider extends BaseProvider {
+  constructor() {
+    super({
+      key: 'geodb',
+      name: 'GeoDB',
+      baseUrl: 'https://wft-geo-db.p.rapidapi.com/v1/geo/cities',
+      timeout: 5000,
+      rateLimit: { requests: 1, window: 1000 }, // Free tier: 1 req/sec
+      prefixSearch: true, // namePrefix
+      headers: {
+        'X-RapidAPI-Key': process.env.RAPIDAPI_KEY || '',
+        'X-RapidAPI-Host': 'wft-geo-db.p.rapidapi.com',
+      },
+    });
+
+    this.locationsUrl = 'https://wft-geo-db.p.rapidapi.com/v1/geo/locations';
+  }
+
+  isEnabled() {
+    return !!this.headers['X-RapidAPI-Key'];
+  }
+
+  async search(query, type, options = {}) {
+    if (!this.isEnabled()) {
+      throw new Error('GeoDB API key not configured');
+    }
+    
+    const params = {
+      namePrefix: query,
+      limit: this.resultLimit,
+      sort: '-population',
+      types: 'CITY',
+      languageCode: this.getLanguage(options.lang),
+    };
+    
+    // GeoDB has no bounding box or proximity ranking for prefix searches;
+    // bbox is enforced by LocationService and bias is ignored
+    if (options.countries) {
+      params.countryIds = options.countries.join(',');
+    }
+    
+    const data = await this.get(this.baseUrl, params, options);
+    return this.normalize(data);
+  }
+
+  supportsReverse() {
+    return true;
+  }
+
+  async reverse(lat, lon, options = {}) {
+    if (!this.isEnabled()) {
+      throw new Error('GeoDB API key not configured');
+    }
+
+    const params = {
+      radius: 100,
+      distanceUnit: 'KM',
+      limit: 5,
+      types: 'CITY',
+      languageCode: this.getLanguage(options.lang),
+    };
+
+    const data = await this.get(
+      `${this.locationsUrl}/${this.formatLocation(lat, lon)}/nearbyCities`,
+      params,
+      options
+    );
+    return this.normalize(data);
+  }
+
+  supportsLookup() {
+    return true;
+  }
+
+  async lookup(cityId, options = {}) {
+    if (!this.isEnabled()) {
+      throw new Error('GeoDB API key not configured');
+    }
+
+    if (!/^\d+$/.test(cityId)) {
+      return null;
+    }
+
+    let data;
+    try {
+      data = await this.get(`${this.baseUrl}/${cityId}`, { languageCode: this.getLanguage(options.lang) }, options);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+
+    const [location] = this.normalize({ data: data?.data ? [data.data] : [] });
+
+    if (!location) {
+      return null;
+    }
+
+    const item = data.data;
+    return {
+      ...location,
+      details: {
+        geodbId: item.id,
+        wikiDataId: item.wikiDataId || null,
+        countryCode: item.countryCode || null,
+        regionCode: item.regionCode || null,
+        population: item.population || null,
+        elevationMeters: item.elevationMeters || null,
+        timezone: item.timezone || null,
+      },
+    };
+  }
+
+  getLanguage(lang) {
+    return SUPPORTED_LANGUAGES.includes(lang) ? lang : 'en';
+  }
+
+  /**
+   * GeoDB takes ISO-6709 coordinates, e.g. "+19.0760+072.8777"
+   */
+  formatLocation(lat, lon) {
+    const format = (value, width) => {
+      const sign = value < 0 ? '-' : '+';
+      const [whole, fraction] = Math.abs(value).toFixed(4).split('.');
+      return `${sign}${whole.padStart(width, '0')}.${fraction}`;
+    };
+
+    return `${format(lat, 2)}${format(lon, 3)}`;
+  }
+
+  normalize(data) {
+    if (!data || !data.data || !Array.isArray(data.data)) {
+      return [];
+    }
+    
+    return data.data.map(item => ({
+      id: this.createId(item.id),
+      name: item.city || item.name || '',
+      city: item.city || item.name || '',
+      state: item.region || '',
+      country: item.country || '',
+      countryCode: item.countryCode || null,
+      displayName: this.formatDisplayName(
+        item.city || item.name,
+        null,
+        item.region,
+        item.country
+      ),
+      latitude: item.latitude || null,
+      longitude: item.longitude || null,
+      type: 'city',
+    })).filter(location => location.name);
+  }
+}
+
+module.exports = GeoDBProvider;
@@ -0,0 +1,86 @@
+const AirportProvider = require('./airportProvider');
+const StationProvider = require('./stationProvider');
+const PhotonProvider = require('./photonProvider');
+const NominatimProvider = require('./nominatimProvider');
+const GeoDBProvider = require('./geodbProvider');
+const GazetteerProvider = require('./gazetteerProvider');
+
+/**
+ * Location provider registry
+ *
+ * Providers register themselves here under their key. LocationService asks
+ * the registry for the providers to try, in order, so adding a provider only
+ * means writing a BaseProvider subclass and registering it below.
+ *
+ * The order (and set) of providers is configured with LOCATION_PROVIDERS,
+ * e.g. LOCATION_PROVIDERS=nominatim,photon. Defaults to every registered
+ * provider in registration order. The airport and station indexes are
+ * registered first so they answer the search types they support before any
+ * network call; the offline gazetteer is registered last as the final
+ * fallback (unless GAZETTEER_PRIORITY_TYPES moves it to the front).
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (!provider.key || !provider.name) {
+      throw new Error('Location providers must have a key and a name');
+    }
+
+    if (this.providers.has(provider.key)) {
+      throw new Error(`Location provider "${provider.key}" is already registered`);
+    }
+
+    this.providers.set(provider.key, provider);
+    return this;
+  }
+
+  get(key) {
+    return this.providers.get(key) || null;
+  }
+
+  getKeys() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * Resolve a configured provider order to provider instances
+   * @param {string} [order] - Comma-separated provider keys
+   * @returns {Array} Providers in the configured order
+   */
+  resolve(order) {
+    if (!order) {
+      return [...this.providers.values()];
+    }
+
+    return order
+      .split(',')
+      .map(key => key.trim().toLowerCase())
+      .filter(Boolean)
+      .map(key => {
+        const provider = this.get(key);
+
+        if (!provider) {
+          throw new Error(
+            `Unknown location provider "${key}". Must be one of: ${this.getKeys().join(', ')}`
+          );
+        }
+
+        return provider;
+      });
+  }
+}
+
+const registry = new ProviderRegistry();
+
+registry
+  .register(new AirportProvider())
+  .register(new StationProvider())
+  .register(new PhotonProvider())
+  .register(new NominatimProvider())
+  .register(new GeoDBProvider())
+  .register(new GazetteerProvider());
+
+module.exports = registry;
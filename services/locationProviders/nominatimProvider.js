@@ -0,0 +1,168 @@
+const BaseProvider = require('./baseProvider');
+
+const OSM_TYPE_CODES = { node: 'N', way: 'W', relation: 'R' };
+
+// Half-size in degrees of the preferred viewbox drawn around a bias point
+const BIAS_VIEWBOX_DEGREES = 2;
+
+/**
+ * Nominatim (OpenStreetMap) - requires a User-Agent, 1 request per second
+ */
+class NominatimProvider extends BaseProvider {
+  constructor() {
+    super({
+      key: 'nominatim',
+      name: 'Nominatim',
+      baseUrl: 'https://nominatim.openstreetmap.org/search',
+      timeout: 5000,
+      rateLimit: { requests: 1, window: 1000 }, // 1 request per second
+      headers: {
+        'User-Agent': 'TravelBookingApp/1.0 (contact@yourdomain.com)', // REQUIRED by Nominatim
+      },
+    });
+
+    this.reverseUrl = 'https://nominatim.openstreetmap.org/reverse';
+    this.lookupUrl = 'https://nominatim.openstreetmap.org/lookup';
+  }
+
+  async search(query, type, options = {}) {
+    const params = {
+      q: query,
+      format: 'json',
+      limit: this.resultLimit,
+      addressdetails: 1,
+      'accept-language': this.getAcceptLanguage(options.lang),
+    };
+    
+    // Filter by feature type
+    if (type === 'hotel') {
+      params.featuretype = 'city';
+    }
+    
+    if (options.countries) {
+      params.countrycodes = options.countries.join(',').toLowerCase();
+    }
+    
+    // viewbox restricts with bounded=1, otherwise it only prefers results
+    // inside it, which is the closest Nominatim has to a location bias
+    if (options.bbox) {
+      params.viewbox = options.bbox.join(',');
+      params.bounded = 1;
+    } else if (options.bias) {
+      const { lat, lon } = options.bias;
+      params.viewbox = [
+        lon - BIAS_VIEWBOX_DEGREES,
+        lat - BIAS_VIEWBOX_DEGREES,
+        lon + BIAS_VIEWBOX_DEGREES,
+        lat + BIAS_VIEWBOX_DEGREES,
+      ].join(',');
+    }
+    
+    const data = await this.get(this.baseUrl, params, options);
+    return this.normalize(data);
+  }
+
+  supportsReverse() {
+    return true;
+  }
+
+  async reverse(lat, lon, options = {}) {
+    const params = {
+      lat,
+      lon,
+      format: 'json',
+      addressdetails: 1,
+      zoom: 10, // city level
+      'accept-language': this.getAcceptLanguage(options.lang),
+    };
+
+    const data = await this.get(this.reverseUrl, params, options);
+
+    // Reverse returns a single place (or { error } when nothing is nearby)
+    if (!data || data.error) {
+      return [];
+    }
+
+    return this.normalize([data]);
+  }
+
+  supportsLookup() {
+    return true;
+  }
+
+  /**
+   * Resolve an OSM id such as "R1953" (also used for Photon ids)
+   */
+  async lookup(osmId, options = {}) {
+    if (!/^[NWR]\d+$/.test(osmId)) {
+      return null;
+    }
+
+    const params = {
+      osm_ids: osmId,
+      format: 'json',
+      addressdetails: 1,
+      extratags: 1,
+      'accept-language': this.getAcceptLanguage(options.lang),
+    };
+
+    const data = await this.get(this.lookupUrl, params, options);
+    const [location] = this.normalize(data);
+
+    if (!location) {
+      return null;
+    }
+
+    const item = data[0];
+    return {
+      ...location,
+      details: {
+        osmId,
+        category: item.category || item.class || null,
+        address: item.address || {},
+        boundingBox: item.boundingbox || null,
+        population: item.extratags?.population ? parseInt(item.extratags.population, 10) : null,
+        wikidata: item.extratags?.wikidata || null,
+      },
+    };
+  }
+
+  /**
+   * Nominatim falls back through the list per name, so English still
+   * fills in places without a name in the requested language
+   */
+  getAcceptLanguage(lang) {
+    return lang && lang !== 'en' ? `${lang},en` : 'en';
+  }
+
+  normalize(data) {
+    if (!data || !Array.isArray(data)) {
+      return [];
+    }
+    
+    return data.map(item => {
+      const addr = item.address || {};
+      const osmType = OSM_TYPE_CODES[item.osm_type];
+      
+      return {
+        id: osmType && item.osm_id ? this.createId(`${osmType}${item.osm_id}`) : null,
+        name: addr.city || addr.town || addr.village || item.name || '',
+        city: addr.city || addr.town || addr.village || '',
+        state: addr.state || '',
+        country: addr.country || '',
+        countryCode: addr.country_code ? addr.country_code.toUpperCase() : null,
+        displayName: this.formatDisplayName(
+          addr.city || addr.town || addr.village,
+          null,
+          addr.state,
+          addr.country
+        ),
+        latitude: parseFloat(item.lat) || null,
+        longitude: parseFloat(item.lon) || null,
+        type: item.type || 'city',
+      };
+    }).filter(location => location.name);
+  }
+}
+
+module.exports = NominatimProvider;
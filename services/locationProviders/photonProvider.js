@@ -0,0 +1,128 @@
+const BaseProvider = require('./baseProvider');
+
+const OSM_TYPE_CODES = { N: 'N', W: 'W', R: 'R', node: 'N', way: 'W', relation: 'R' };
+
+// Photon only translates into these; "default" returns the local name
+// (usually the regional script in India)
+const SUPPORTED_LANGUAGES = ['en', 'de', 'fr'];
+
+// Settlements only (sent as repeated osm_tag parameters)
+const PLACE_TAGS = ['place:city', 'place:town', 'place:village'];
+
+// Photon's reverse radius defaults to 1 km, too small to reach the nearest
+// town from most of the countryside
+const REVERSE_RADIUS_KM = 50;
+
+/**
+ * Photon (OpenStreetMap) - no API key, fastest
+ *
+ * Photon has no lookup-by-id endpoint, so its OSM ids are resolved
+ * through Nominatim.
+ */
+class PhotonProvider extends BaseProvider {
+  constructor() {
+    super({
+      key: 'photon',
+      name: 'Photon',
+      baseUrl: 'https://photon.komoot.io/api/',
+      timeout: 5000,
+      rateLimit: { requests: 60, window: 60000 }, // 60 requests per minute
+      headers: {
+        'Accept': 'application/json',
+      },
+      lookupProvider: 'nominatim',
+      // Fuzzy full-text search: "del" doesn't return every match for
+      // "delhi", so its answers can't be filtered for longer queries
+      prefixSearch: false,
+    });
+
+    this.reverseUrl = 'https://photon.komoot.io/reverse';
+  }
+
+  async search(query, type, options = {}) {
+    const params = {
+      q: query,
+      limit: this.resultLimit,
+      lang: this.getLanguage(options.lang),
+    };
+    
+    // Filter by location type if needed
+    if (type === 'hotel') {
+      params.osm_tag = PLACE_TAGS;
+    }
+    
+    if (options.bias) {
+      params.lat = options.bias.lat;
+      params.lon = options.bias.lon;
+    }
+    
+    if (options.bbox) {
+      params.bbox = options.bbox.join(',');
+    }
+    
+    // Photon can't filter by country, so fetch extra results to survive
+    // LocationService dropping the other countries
+    if (options.countries) {
+      params.limit = 25;
+    }
+    
+    const data = await this.get(this.baseUrl, params, options);
+    return this.normalize(data);
+  }
+
+  supportsReverse() {
+    return true;
+  }
+
+  async reverse(lat, lon, options = {}) {
+    // Nearest city, town or village - not the nearest shop or street
+    const params = {
+      lat,
+      lon,
+      limit: 1,
+      radius: REVERSE_RADIUS_KM,
+      osm_tag: PLACE_TAGS,
+      lang: this.getLanguage(options.lang),
+    };
+
+    const data = await this.get(this.reverseUrl, params, options);
+    return this.normalize(data);
+  }
+
+  getLanguage(lang) {
+    return SUPPORTED_LANGUAGES.includes(lang) ? lang : 'default';
+  }
+
+  normalize(data) {
+    if (!data || !data.features) {
+      return [];
+    }
+    
+    return data.features.map(feature => {
+      const props = feature.properties;
+      const coords = feature.geometry?.coordinates || [];
+      
+      const osmType = OSM_TYPE_CODES[props.osm_type];
+      
+      return {
+        id: osmType && props.osm_id ? this.createId(`${osmType}${props.osm_id}`) : null,
+        name: props.name || '',
+        city: props.city || props.name || '',
+        state: props.state || '',
+        country: props.country || '',
+        countryCode: props.countrycode ? props.countrycode.toUpperCase() : null,
+        displayName: this.formatDisplayName(
+          props.name,
+          props.city,
+          props.state,
+          props.country
+        ),
+        latitude: coords[1] || null,
+        longitude: coords[0] || null,
+        type: props.osm_value || 'city',
+      };
+    }).filter(location => location.name); // Filter out empty results
+  }
+}
+
+module.exports = PhotonProvider;
@@ -0,0 +1,192 @@
+const BaseProvider = require('./baseProvider');
+const { normalizeText, matchesAllTokens } = require('../../utils/text');
+const stations = require('../../data/stations.json');
+
+const ZONE_NAMES = {
+  CR: 'Central Railway',
+  ECR: 'East Central Railway',
+  ECoR: 'East Coast Railway',
+  ER: 'Eastern Railway',
+  KR: 'Konkan Railway',
+  NCR: 'North Central Railway',
+  NER: 'North Eastern Railway',
+  NFR: 'Northeast Frontier Railway',
+  NR: 'Northern Railway',
+  NWR: 'North Western Railway',
+  SCR: 'South Central Railway',
+  SECR: 'South East Central Railway',
+  SER: 'South Eastern Railway',
+  SR: 'Southern Railway',
+  SWR: 'South Western Railway',
+  WCR: 'West Central Railway',
+  WR: 'Western Railway',
+};
+
+const MAX_RESULTS = 20;
+
+// Every station in the index is on Indian Railways
+const COUNTRY_CODE = 'IN';
+
+/**
+ * Offline railway station index for type=train
+ *
+ * Answers from the bundled data/stations.json, matching on station code,
+ * station name, city and aliases (former or local names). When a query matches a
+ * city, every station in that city is returned, grouped together, so
+ * "Delhi" lists NDLS, DLI, NZM, ANVT and the rest.
+ */
+class StationProvider extends BaseProvider {
+  constructor() {
+    super({
+      key: 'stations',
+      name: 'Stations',
+      types: ['train'],
+      rateLimit: null,
+      resultLimit: MAX_RESULTS,
+      prefixSearch: true,
+    });
+
+    this.index = stations.map((station, rank) => {
+      // The English name and every localized name ("दिल्ली") are searchable
+      const cities = [station.city, ...Object.values(station.cityNames || {})].map(normalizeText);
+      const aliases = station.aliases.map(normalizeText);
+      const names = [station.name, ...Object.values(station.names || {})].map(normalizeText);
+
+      return {
+        station,
+        rank,
+        code: station.code.toLowerCase(),
+        cities,
+        aliases,
+        names,
+        text: [station.code.toLowerCase(), ...names, ...cities, ...aliases].join(' '),
+      };
+    });
+
+    // city -> stations in dataset order
+    this.stationsByCity = new Map();
+    this.index.forEach(entry => {
+      if (!this.stationsByCity.has(entry.station.city)) {
+        this.stationsByCity.set(entry.station.city, []);
+      }
+      this.stationsByCity.get(entry.station.city).push(entry);
+    });
+  }
+
+  async search(query, type, options = {}) {
+    const q = normalizeText(query);
+    if (!q) return [];
+
+    // Best score per city, plus the individual stations that matched
+    const groups = new Map();
+
+    this.index.forEach(entry => {
+      if (!this.matchesStation(entry, options)) return;
+
+      const score = this.score(entry, q);
+      if (score === 0) return;
+
+      const cityName = entry.station.city;
+      const group = groups.get(cityName) || { score: 0, rank: entry.rank, matched: [], cityMatched: false };
+
+      group.score = Math.max(group.score, score + this.proximityBonus(entry.station.latitude, entry.station.longitude, options));
+      group.rank = Math.min(group.rank, entry.rank);
+      group.matched.push(entry);
+      group.cityMatched = group.cityMatched || this.matchesCity(entry, q);
+
+      groups.set(cityName, group);
+    });
+
+    const results = [];
+
+    [...groups.entries()]
+      .sort(([, a], [, b]) => b.score - a.score || a.rank - b.rank)
+      .forEach(([cityName, group]) => {
+        // A city match brings in all of the city's stations
+        const entries = group.cityMatched
+          ? this.stationsByCity.get(cityName).filter(entry => this.matchesStation(entry, options))
+          : group.matched.sort((a, b) => this.score(b, q) - this.score(a, q) || a.rank - b.rank);
+
+        entries.forEach(entry => results.push(entry.station));
+      });
+
+    return this.normalize(results.slice(0, MAX_RESULTS), options);
+  }
+
+  supportsLookup() {
+    return true;
+  }
+
+  async lookup(code, options = {}) {
+    const entry = this.index.find(candidate => candidate.station.code === code);
+
+    if (!entry) {
+      return null;
+    }
+
+    const [location] = this.normalize([entry.station], options);
+    return {
+      ...location,
+      details: {
+        ...entry.station,
+        cityStations: this.stationsByCity.get(entry.station.city).map(sibling => sibling.station.code),
+      },
+    };
+  }
+
+  matchesStation(entry, options) {
+    return this.matchesRestrictions(COUNTRY_CODE, entry.station.latitude, entry.station.longitude, options);
+  }
+
+  matchesCity(entry, q) {
+    return entry.cities.some(city => city.startsWith(q));
+  }
+
+  /**
+   * Rank a match: exact code first, then city, then station name
+   */
+  score(entry, q) {
+    if (q === entry.code) return 100;
+    if (entry.cities.includes(q) || entry.aliases.includes(q)) return 90;
+    if (this.matchesCity(entry, q) || entry.aliases.some(alias => alias.startsWith(q))) return 70;
+    if (entry.names.some(name => name.startsWith(q))) return 65;
+    if (q.length <= 4 && entry.code.startsWith(q)) return 50;
+    if (matchesAllTokens(entry.text, q)) return 30;
+    return 0;
+  }
+
+  normalize(data, options = {}) {
+    const { lang } = options;
+
+    return data.map(station => {
+      const name = this.localize(station.names, station.name, lang);
+      const city = this.localize(station.cityNames, station.city, lang);
+      const state = this.localizeRegion(station.state, lang);
+
+      return {
+        id: this.createId(station.code),
+        name,
+        city,
+        state,
+        country: this.localizeCountry(COUNTRY_CODE, 'India', lang),
+        countryCode: COUNTRY_CODE,
+        displayName: this.formatDisplayName(
+          `${name} (${station.code})`,
+          null,
+          city,
+          state
+        ),
+        latitude: station.latitude,
+        longitude: station.longitude,
+        type: 'station',
+        code: station.code,
+        zone: station.zone,
+        zoneName: ZONE_NAMES[station.zone] || station.zone,
+        group: station.city,
+        groupSize: this.stationsByCity.get(station.city).length,
+      };
+    });
+  }
+}
+
+module.exports = StationProvider;
@@ -1,96 +1,182 @@
-const axios = require('axios');
+const providerRegistry = require('./locationProviders');
+const locationCache = require('./locationCache');
+const { isInBoundingBox } = require('../utils/geo');
+const { DEFAULT_LANGUAGE } = require('../utils/language');
+const { CircuitBreaker, STATES } = require('../utils/circuitBreaker');
+const { TokenBucketScheduler } = require('../utils/tokenBucketScheduler');
+const { normalizeText, matchesAllTokens, matchesAllTokensFuzzy } = require('../utils/text');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+const log = logger.child('LocationService');
+
+const MIN_QUERY_LENGTH = 2;
+
+const providerDuration = metrics.histogram({
+  name: 'location_provider_request_duration_seconds',
+  help: 'Location provider request latency by provider and outcome (results, empty, error)',
+  labelNames: ['provider', 'outcome'],
+});
+
+const providerFailures = metrics.counter({
+  name: 'location_provider_failures_total',
+  help: 'Failed location provider requests by provider',
+  labelNames: ['provider'],
+});
+
+const cacheLookups = metrics.counter({
+  name: 'location_cache_lookups_total',
+  help: 'Location lookups by cache result (hit, prefix_hit, miss)',
+  labelNames: ['result'],
+});
 
 /**
  * Production-ready Location Autocomplete Service
  * 
- * Provider hierarchy (strict order):
+ * Providers come from the provider registry (see locationProviders/index.js)
+ * and are tried in the order configured by LOCATION_PROVIDERS. Default order:
+ * 0. Airports / Stations (offline, type=flight / type=train only)
  * 1. Photon (OpenStreetMap-based, no API key, fastest)
  * 2. Nominatim (OpenStreetMap, requires User-Agent)
  * 3. GeoDB Cities (RapidAPI free tier, API key required)
+ * 4. Gazetteer (offline cities and towns; last fallback, or first for the
+ *    types in GAZETTEER_PRIORITY_TYPES)
  * 
  * Features:
  * - Automatic fallback on failure
- * - In-memory caching to reduce API calls
- * - Rate limit compliance
+ * - Hedged requests: a slow provider is raced against the next one
+ * - LRU + persistent/shared caching to reduce API calls (see locationCache),
+ *   with longer queries answered from complete cached answers for their prefixes
+ * - Rate limit compliance: requests over a provider's budget wait in a
+ *   per-provider queue (up to LOCATION_QUEUE_MAX_WAIT_MS) instead of skipping it
+ * - Circuit breakers: a provider that keeps failing is skipped for a while
+ * - Location bias and country / bounding box restrictions
+ * - Localized names (per-request language)
  * - Consistent response format
  * - Zero billing risk
  */
 
 class LocationService {
   constructor() {
-    // Cache configuration
-    this.cache = new Map();
-    this.cacheMaxSize = 500;
-    this.cacheTTL = 3600000; // 1 hour in milliseconds
-    
-    // Provider configurations
-    this.providers = {
-      photon: {
-        name: 'Photon',
-        baseUrl: 'https://photon.komoot.io/api/',
-        enabled: true,
-        timeout: 5000,
-        rateLimit: { requests: 60, window: 60000 }, // 60 requests per minute
-      },
-      nominatim: {
-        name: 'Nominatim',
-        baseUrl: 'https://nominatim.openstreetmap.org/search',
-        enabled: true,
-        timeout: 5000,
-        rateLimit: { requests: 1, window: 1000 }, // 1 request per second
-        headers: {
-          'User-Agent': 'TravelBookingApp/1.0 (contact@yourdomain.com)', // REQUIRED by Nominatim
-        },
-      },
-      geodb: {
-        name: 'GeoDB',
-        baseUrl: 'https://wft-geo-db.p.rapidapi.com/v1/geo/cities',
-        enabled: !!process.env.RAPIDAPI_KEY,
-        timeout: 5000,
-        rateLimit: { requests: 1, window: 1000 }, // Free tier: 1 req/sec
-        headers: {
-          'X-RapidAPI-Key': process.env.RAPIDAPI_KEY || '',
-          'X-RapidAPI-Host': 'wft-geo-db.p.rapidapi.com',
-        },
-      },
-    };
+    // Result cache (memory LRU plus optional file/Redis tier)
+    this.cache = locationCache;
     
-    // Rate limiting trackers
-    this.rateLimitTrackers = {
-      photon: [],
-      nominatim: [],
-      geodb: [],
-    };
+    // Places seen in results, by id (fallback for details when a provider can't be asked)
+    this.placeCache = new Map();
+    this.placeCacheMaxSize = 2000;
+    
+    // Providers to try, in order
+    this.providers = providerRegistry.resolve(process.env.LOCATION_PROVIDERS);
+    
+    // Start the next provider if the current one hasn't answered in time (0 disables hedging)
+    this.hedgeDelayMs = process.env.LOCATION_HEDGE_DELAY_MS !== undefined
+      ? parseInt(process.env.LOCATION_HEDGE_DELAY_MS, 10) || 0
+      : 800;
+    
+    // Rolling latency samples per provider
+    this.latencySampleSize = 100;
+    this.latencySamples = this.createProviderCounters(() => []);
+    
+    // Lookups in progress, by cache key (see lookup)
+    this.inFlight = new Map();
+    
+    // Circuit breakers per provider
+    this.breakers = this.createProviderCounters(provider => this.createBreaker(provider));
+    
+    // Outbound request schedulers per provider (null for offline providers)
+    this.schedulers = this.createProviderCounters(provider => this.createScheduler(provider));
     
     // Statistics
-    this.stats = {
+    this.stats = this.createStats();
+  }
+
+  /**
+   * Build an object with one entry per configured provider
+   */
+  createProviderCounters(initialValue) {
+    const counters = {};
+    this.providers.forEach(provider => {
+      counters[provider.key] = initialValue(provider);
+    });
+    return counters;
+  }
+
+  /**
+   * Opens after LOCATION_BREAKER_FAILURE_THRESHOLD consecutive failures,
+   * probes again after LOCATION_BREAKER_RESET_MS
+   */
+  createBreaker(provider) {
+    return new CircuitBreaker({
+      name: provider.name,
+      failureThreshold: parseInt(process.env.LOCATION_BREAKER_FAILURE_THRESHOLD, 10) || 5,
+      resetTimeoutMs: parseInt(process.env.LOCATION_BREAKER_RESET_MS, 10) || 30000,
+    });
+  }
+
+  /**
+   * Token bucket sized to the provider's usage policy. Requests wait for a
+   * token for up to LOCATION_QUEUE_MAX_WAIT_MS (default 2000, 0 never waits)
+   */
+  createScheduler(provider) {
+    if (!provider.rateLimit) {
+      return null;
+    }
+
+    const maxWaitMs = parseInt(process.env.LOCATION_QUEUE_MAX_WAIT_MS, 10);
+
+    return new TokenBucketScheduler({
+      name: provider.name,
+      capacity: provider.rateLimit.requests,
+      intervalMs: provider.rateLimit.window,
+      maxWaitMs: maxWaitMs >= 0 ? maxWaitMs : 2000,
+    });
+  }
+
+  createStats() {
+    return {
       totalRequests: 0,
       cacheHits: 0,
+      prefixCacheHits: 0,
       cacheMisses: 0,
-      providerUsage: {
-        photon: 0,
-        nominatim: 0,
-        geodb: 0,
-      },
-      providerFailures: {
-        photon: 0,
-        nominatim: 0,
-        geodb: 0,
-      },
+      providerUsage: this.createProviderCounters(() => 0),
+      providerFailures: this.createProviderCounters(() => 0),
+      providerCancellations: this.createProviderCounters(() => 0),
+      breakerSkips: this.createProviderCounters(() => 0),
+      rateLimitSkips: this.createProviderCounters(() => 0),
+      hedgedRequests: 0,
+      coalescedRequests: 0,
     };
-    
-    // Start cache cleanup interval
-    this.startCacheCleanup();
+  }
+
+  /**
+   * Configured providers with their enabled state (for logs and stats)
+   */
+  getProviders() {
+    return this.providers.map(provider => ({
+      key: provider.key,
+      name: provider.name,
+      enabled: provider.isEnabled(),
+      circuit: this.breakers[provider.key].state,
+      types: provider.types,
+    }));
   }
 
   /**
    * Main search method - tries providers in order until success
+   *
+   * @param {string} query - Text typed by the user
+   * @param {string|null} type - flight | train | bus | hotel
+   * @param {Object} [options]
+   * @param {string} [options.lang] - Language for names, e.g. "hi" (default DEFAULT_LANGUAGE)
+   * @param {Object} [options.bias] - { lat, lon } to prefer nearby results
+   * @param {Array<string>} [options.countries] - ISO 3166-1 alpha-2 codes to restrict to
+   * @param {Array<number>} [options.bbox] - [minLon, minLat, maxLon, maxLat] to restrict to
    */
-  async search(query, type = null) {
+  async search(query, type = null, options = {}) {
     this.stats.totalRequests++;
     
     // Input validation
-    if (!query || query.trim().length < 2) {
+    if (!query || query.trim().length < MIN_QUERY_LENGTH) {
       return {
         success: true,
         results: [],
@@ -100,324 +186,559 @@ class LocationService {
     }
     
     const searchQuery = query.trim();
-    const cacheKey = this.getCacheKey(searchQuery, type);
+    const searchOptions = { ...options, lang: options.lang || DEFAULT_LANGUAGE };
+    const cacheKey = this.getCacheKey(searchQuery, type, searchOptions);
+    
+    // Raw result counts per provider, before restrictions drop any
+    const resultCounts = new Map();
+    
+    return this.lookup(
+      cacheKey,
+      this.getProvidersForType(type),
+      { query: searchQuery, type },
+      async (provider, { signal }) => {
+        const results = await provider.search(searchQuery, type, { ...searchOptions, signal });
+        resultCounts.set(provider.key, results ? results.length : 0);
+        return this.applyRestrictions(results, options);
+      },
+      {
+        cacheType: type,
+        fromPrefix: () => this.searchPrefixCache(searchQuery, type, searchOptions),
+        isComplete: (provider) =>
+          provider.prefixSearch
+          && provider.isAuthoritativeFor(type)
+          && resultCounts.get(provider.key) < provider.resultLimit,
+      }
+    );
+  }
+
+  /**
+   * Answer a query from a complete cached answer for one of its prefixes
+   *
+   * A prefix-matching provider that returned fewer results than its limit
+   * for "del" returned every match, so the results for "delhi" are the ones
+   * among them that still match. They are re-ranked locally: name prefix
+   * matches first, then matches on other fields, then typo-tolerant matches.
+   *
+   * @returns {Array|null} Matching results, or null if no complete prefix answer matches
+   */
+  async searchPrefixCache(query, type, options) {
+    const q = normalizeText(query);
     
-    // Check cache first
-    const cachedResult = this.getFromCache(cacheKey);
-    if (cachedResult) {
-      this.stats.cacheHits++;
-      return {
-        success: true,
-        results: cachedResult,
-        source: 'cache',
-        cached: true,
-      };
+    // Longest prefix first, fetched in one go
+    const keys = [];
+    for (let length = query.length - 1; length >= MIN_QUERY_LENGTH; length--) {
+      keys.push(this.getCacheKey(query.slice(0, length).trim(), type, options));
     }
     
-    this.stats.cacheMisses++;
+    const entries = keys.length > 0 ? await this.cache.getMany(keys) : [];
     
-    // Try providers in order: Photon → Nominatim → GeoDB
-    const providers = ['photon', 'nominatim', 'geodb'];
+    for (const entry of entries) {
+      if (!entry || !entry.complete) continue;
+      
+      const ranked = entry.data
+        .map((location, index) => ({ location, index, rank: this.rankPrefixMatch(location, q) }))
+        .filter(match => match.rank > 0)
+        .sort((a, b) => b.rank - a.rank || a.index - b.index);
+      
+      // The shortest complete prefix is no better, and the providers may
+      // know places the cached provider doesn't
+      return ranked.length > 0 ? ranked.map(match => match.location) : null;
+    }
     
-    for (const providerKey of providers) {
-      if (!this.providers[providerKey].enabled) {
-        console.log(`[LocationService] ${this.providers[providerKey].name} is disabled, skipping`);
-        continue;
+    return null;
+  }
+
+  rankPrefixMatch(location, q) {
+    const name = normalizeText(location.name);
+    const text = normalizeText([location.name, location.code, location.city, location.displayName].filter(Boolean).join(' '));
+    
+    if (matchesAllTokens(name, q)) return 3;
+    if (matchesAllTokens(text, q)) return 2;
+    if (matchesAllTokensFuzzy(text, q)) return 1;
+    return 0;
+  }
+
+  /**
+   * Reverse geocoding - nearest places to a coordinate
+   * Uses the same provider fallback, caching and rate limiting as search
+   */
+  async reverse(lat, lon, options = {}) {
+    this.stats.totalRequests++;
+    
+    const lang = options.lang || DEFAULT_LANGUAGE;
+    
+    // ~100m grid so nearby taps share a cache entry
+    const cacheKey = `reverse_${lat.toFixed(3)}_${lon.toFixed(3)}_${lang}`;
+    const providers = this.providers.filter(provider => provider.supportsReverse());
+    
+    return this.lookup(
+      cacheKey,
+      providers,
+      { lat, lon },
+      (provider, { signal }) => provider.reverse(lat, lon, { lang, signal }),
+      { cacheType: 'reverse' }
+    );
+  }
+
+  /**
+   * Full details for a location id returned by search or reverse
+   * ("<provider key>:<provider id>", e.g. "nominatim:R1953")
+   *
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {string} [options.lang] - Language for names (default DEFAULT_LANGUAGE)
+   * @returns {Object|null} Location with details, or null if the id is unknown
+   */
+  async getDetails(id, options = {}) {
+    const separator = typeof id === 'string' ? id.indexOf(':') : -1;
+    if (separator <= 0 || separator === id.length - 1) {
+      return null;
+    }
+
+    const providerKey = id.slice(0, separator);
+    const nativeId = id.slice(separator + 1);
+    const provider = this.providers.find(candidate => candidate.key === providerKey);
+
+    if (!provider) {
+      return null;
+    }
+
+    // Some providers' ids are resolved by another provider (Photon -> Nominatim)
+    const resolver = provider.lookupProvider
+      ? this.providers.find(candidate => candidate.key === provider.lookupProvider)
+      : provider;
+
+    const remembered = this.placeCache.get(id);
+
+    if (!resolver || !resolver.supportsLookup() || !resolver.isEnabled()) {
+      return remembered ? { ...remembered, details: null, source: 'cache' } : null;
+    }
+
+    const breaker = this.breakers[resolver.key];
+    if (!breaker.tryAcquire()) {
+      if (remembered) {
+        return { ...remembered, details: null, source: 'cache' };
       }
-      
-      // Check rate limit
-      if (!this.checkRateLimit(providerKey)) {
-        console.log(`[LocationService] ${this.providers[providerKey].name} rate limit exceeded, skipping`);
-        continue;
+      throw new Error(`${resolver.name} circuit is ${breaker.state}`);
+    }
+
+    const slot = this.scheduleRequest(resolver);
+    if (!slot) {
+      breaker.release();
+      this.stats.rateLimitSkips[resolver.key]++;
+      if (remembered) {
+        return { ...remembered, details: null, source: 'cache' };
       }
-      
-      try {
-        console.log(`[LocationService] Trying ${this.providers[providerKey].name} for query: "${searchQuery}"`);
-        
-        const results = await this.queryProvider(providerKey, searchQuery, type);
-        
-        if (results && results.length > 0) {
-          // Success! Cache and return
-          this.stats.providerUsage[providerKey]++;
-          this.saveToCache(cacheKey, results);
-          
-          console.log(`[LocationService] ✓ ${this.providers[providerKey].name} returned ${results.length} results`);
-          
-          return {
-            success: true,
-            results,
-            source: this.providers[providerKey].name,
-            cached: false,
-          };
-        }
-        
-        console.log(`[LocationService] ${this.providers[providerKey].name} returned no results, trying next provider`);
-        
-      } catch (error) {
-        this.stats.providerFailures[providerKey]++;
-        console.error(`[LocationService] ${this.providers[providerKey].name} error:`, error.message);
-        // Continue to next provider
+      throw new Error(`${resolver.name} rate limit exceeded`);
+    }
+
+    let location;
+    try {
+      await slot;
+      location = await resolver.lookup(nativeId, { lang: options.lang || DEFAULT_LANGUAGE });
+      breaker.onSuccess();
+    } catch (error) {
+      breaker.onFailure(this.describeFailure(error));
+      log.error('Lookup failed', { provider: resolver.key, id: nativeId, error: error.message });
+      if (remembered) {
+        return { ...remembered, details: null, source: 'cache' };
       }
+      throw error;
     }
-    
-    // All providers failed or returned no results
-    console.log(`[LocationService] All providers exhausted for query: "${searchQuery}"`);
+
+    if (!location) {
+      return null;
+    }
+
+    // Keep the id the caller asked for (a Photon id resolved by Nominatim stays a Photon id)
     return {
-      success: true,
-      results: [],
-      source: 'none',
-      cached: false,
+      ...location,
+      id,
+      source: resolver.name,
     };
   }
 
   /**
-   * Query specific provider
+   * Remember places by id so details can be served without a provider call
    */
-  async queryProvider(providerKey, query, type) {
-    switch (providerKey) {
-      case 'photon':
-        return await this.queryPhoton(query, type);
-      case 'nominatim':
-        return await this.queryNominatim(query, type);
-      case 'geodb':
-        return await this.queryGeoDB(query, type);
-      default:
-        throw new Error(`Unknown provider: ${providerKey}`);
-    }
+  rememberPlaces(results) {
+    results.forEach(location => {
+      if (!location.id) return;
+
+      if (this.placeCache.size >= this.placeCacheMaxSize) {
+        const firstKey = this.placeCache.keys().next().value;
+        this.placeCache.delete(firstKey);
+      }
+
+      this.placeCache.set(location.id, location);
+    });
   }
 
   /**
-   * Photon (OpenStreetMap) - Primary provider
+   * Single-flight: identical concurrent lookups (same cache key) share one
+   * cache read and provider request, so a popular city typed by many users
+   * at once costs one call against the provider's rate limit
    */
-  async queryPhoton(query, type) {
-    const config = this.providers.photon;
-    const params = {
-      q: query,
-      limit: 10,
-      lang: 'en',
-    };
-    
-    // Filter by location type if needed
-    if (type === 'hotel') {
-      params.osm_tag = 'place:city,place:town,place:village';
+  lookup(cacheKey, providers, description, call, options = {}) {
+    const pending = this.inFlight.get(cacheKey);
+    if (pending) {
+      this.stats.coalescedRequests++;
+      return pending;
     }
     
-    const response = await axios.get(config.baseUrl, {
-      params,
-      timeout: config.timeout,
-      headers: {
-        'Accept': 'application/json',
-      },
-    });
-    
-    if (!response.data || !response.data.features) {
-      return [];
-    }
+    const request = this.fetchResults(cacheKey, providers, description, call, options)
+      .finally(() => this.inFlight.delete(cacheKey));
     
-    return response.data.features.map(feature => {
-      const props = feature.properties;
-      const coords = feature.geometry?.coordinates || [];
-      
-      return {
-        name: props.name || '',
-        city: props.city || props.name || '',
-        state: props.state || '',
-        country: props.country || '',
-        displayName: this.formatDisplayName(
-          props.name,
-          props.city,
-          props.state,
-          props.country
-        ),
-        latitude: coords[1] || null,
-        longitude: coords[0] || null,
-        type: props.osm_value || 'city',
-      };
-    }).filter(location => location.name); // Filter out empty results
+    this.inFlight.set(cacheKey, request);
+    return request;
   }
 
   /**
-   * Nominatim (OpenStreetMap) - Secondary provider
+   * Serve from cache, otherwise ask providers and cache the winner
+   *
+   * options.cacheType picks the cache TTL (search type or "reverse");
+   * options.fromPrefix() may derive an answer from other cached entries;
+   * options.isComplete(provider) marks the winner's answer as complete
+   * (see searchPrefixCache). An answer from anything but the first enabled
+   * provider is cached as a fallback (short TTL), so a brief outage of the
+   * preferred provider doesn't pin the fallback's answer for the full TTL.
    */
-  async queryNominatim(query, type) {
-    const config = this.providers.nominatim;
-    const params = {
-      q: query,
-      format: 'json',
-      limit: 10,
-      addressdetails: 1,
-      'accept-language': 'en',
-    };
+  async fetchResults(cacheKey, providers, description, call, options = {}) {
+    const { cacheType, fromPrefix, isComplete } = options;
     
-    // Filter by feature type
-    if (type === 'hotel') {
-      params.featuretype = 'city';
+    // Check cache first
+    const cached = await this.cache.get(cacheKey);
+    if (cached) {
+      this.stats.cacheHits++;
+      cacheLookups.inc({ result: 'hit' });
+      return {
+        success: true,
+        results: cached.data,
+        source: 'cache',
+        cached: true,
+      };
     }
     
-    const response = await axios.get(config.baseUrl, {
-      params,
-      timeout: config.timeout,
-      headers: config.headers,
-    });
-    
-    if (!response.data || !Array.isArray(response.data)) {
-      return [];
+    const prefixResult = fromPrefix ? await fromPrefix() : null;
+    if (prefixResult) {
+      this.stats.prefixCacheHits++;
+      cacheLookups.inc({ result: 'prefix_hit' });
+      return {
+        success: true,
+        results: prefixResult,
+        source: 'cache-prefix',
+        cached: true,
+      };
     }
     
-    return response.data.map(item => {
-      const addr = item.address || {};
+    this.stats.cacheMisses++;
+    cacheLookups.inc({ result: 'miss' });
+    
+    // Try providers in the configured order, hedging slow ones
+    const winner = await this.queryProviders(providers, description, call);
+    
+    if (winner) {
+      this.stats.providerUsage[winner.provider.key]++;
+      await this.cache.set(cacheKey, winner.results, {
+        provider: winner.provider.key,
+        type: cacheType,
+        complete: isComplete ? isComplete(winner.provider) : false,
+        fallback: winner.provider !== providers.find(provider => provider.isEnabled()),
+      });
+      this.rememberPlaces(winner.results);
       
       return {
-        name: addr.city || addr.town || addr.village || item.name || '',
-        city: addr.city || addr.town || addr.village || '',
-        state: addr.state || '',
-        country: addr.country || '',
-        displayName: this.formatDisplayName(
-          addr.city || addr.town || addr.village,
-          null,
-          addr.state,
-          addr.country
-        ),
-        latitude: parseFloat(item.lat) || null,
-        longitude: parseFloat(item.lon) || null,
-        type: item.type || 'city',
+        success: true,
+        results: winner.results,
+        source: winner.provider.name,
+        cached: false,
       };
-    }).filter(location => location.name);
+    }
+    
+    // All providers failed or returned no results
+    log.info('All providers exhausted', description);
+    return {
+      success: true,
+      results: [],
+      source: 'none',
+      cached: false,
+    };
   }
 
   /**
-   * GeoDB Cities (RapidAPI) - Tertiary provider
+   * Query providers in order with hedged requests
+   *
+   * The next provider is started when the current one fails, returns no
+   * results, or hasn't answered within hedgeDelayMs. The first non-empty
+   * answer wins and every other in-flight request is cancelled.
+   *
+   * @param {Array} providers - Providers to try, in order
+   * @param {Object} description - Log fields saying what is being looked up
+   * @param {Function} call - (provider, { signal }) => Promise of normalized results
+   * @returns {Object|null} { provider, results } or null if every provider failed
    */
-  async queryGeoDB(query, type) {
-    const config = this.providers.geodb;
-    
-    if (!config.headers['X-RapidAPI-Key']) {
-      throw new Error('GeoDB API key not configured');
-    }
-    
-    const params = {
-      namePrefix: query,
-      limit: 10,
-      sort: '-population',
-      types: 'CITY',
-      languageCode: 'en',
-    };
-    
-    const response = await axios.get(config.baseUrl, {
-      params,
-      timeout: config.timeout,
-      headers: config.headers,
+  queryProviders(providers, description, call) {
+    return new Promise((resolve) => {
+      const inFlight = new Map(); // provider key -> { controller, hedgeTimer }
+      let nextIndex = 0;
+      let settled = false;
+
+      const finish = (winner) => {
+        if (settled) return;
+        settled = true;
+
+        // Cancel the losers
+        inFlight.forEach(({ controller, hedgeTimer }) => {
+          clearTimeout(hedgeTimer);
+          controller.abort();
+        });
+        inFlight.clear();
+
+        resolve(winner);
+      };
+
+      const launchNext = () => {
+        while (nextIndex < providers.length) {
+          const provider = providers[nextIndex++];
+
+          if (!provider.isEnabled()) {
+            log.debug('Provider disabled, skipping', { provider: provider.key });
+            continue;
+          }
+          
+          const breaker = this.breakers[provider.key];
+          if (!breaker.tryAcquire()) {
+            this.stats.breakerSkips[provider.key]++;
+            log.info('Provider circuit not closed, skipping', { provider: provider.key, circuit: breaker.state });
+            continue;
+          }
+          
+          // Wait for the provider's rate limit, unless the queue is too long
+          const controller = new AbortController();
+          const slot = this.scheduleRequest(provider, controller.signal);
+          if (!slot) {
+            breaker.release();
+            this.stats.rateLimitSkips[provider.key]++;
+            log.warn('Provider rate limit queue is full, skipping', { provider: provider.key });
+            continue;
+          }
+
+          launch(provider, controller, slot);
+          return true;
+        }
+
+        return false;
+      };
+
+      const launch = (provider, controller, slot) => {
+        let startedAt = null;
+
+        log.info('Trying provider', { provider: provider.key, ...description });
+
+        // Hedge: start the next provider if this one is slow to answer
+        const hedgeTimer = this.hedgeDelayMs > 0
+          ? setTimeout(() => {
+            if (settled || !inFlight.has(provider.key)) return;
+            if (nextIndex < providers.length && launchNext()) {
+              this.stats.hedgedRequests++;
+              log.info('Provider slow, hedging', { provider: provider.key, hedgeDelayMs: this.hedgeDelayMs });
+            }
+          }, this.hedgeDelayMs)
+          : null;
+
+        inFlight.set(provider.key, { controller, hedgeTimer });
+
+        const breaker = this.breakers[provider.key];
+
+        slot
+          .then((waitedMs) => {
+            if (waitedMs > 0) {
+              log.info('Waited for provider rate limit', { provider: provider.key, waitedMs });
+            }
+            startedAt = Date.now();
+            return call(provider, { signal: controller.signal });
+          })
+          .then((results) => {
+            breaker.onSuccess();
+            if (settled) return;
+            const found = results && results.length > 0;
+            this.recordLatency(provider.key, Date.now() - startedAt, found ? 'results' : 'empty');
+
+            if (found) {
+              log.info('Provider returned results', { provider: provider.key, count: results.length, durationMs: Date.now() - startedAt });
+              finish({ provider, results });
+              return;
+            }
+
+            log.info('Provider returned no results, trying next provider', { provider: provider.key });
+          })
+          .catch((error) => {
+            if (controller.signal.aborted) {
+              breaker.release();
+              this.stats.providerCancellations[provider.key]++;
+              return;
+            }
+
+            this.recordLatency(provider.key, Date.now() - startedAt, 'error');
+            this.stats.providerFailures[provider.key]++;
+            providerFailures.inc({ provider: provider.key });
+            log.warn('Provider request failed', { provider: provider.key, reason: this.describeFailure(error) });
+            breaker.onFailure(this.describeFailure(error));
+          })
+          .finally(() => {
+            clearTimeout(hedgeTimer);
+            inFlight.delete(provider.key);
+            if (settled) return;
+
+            // Only move on if nothing else is still racing
+            if (inFlight.size === 0 && !launchNext()) {
+              finish(null);
+            }
+          });
+      };
+
+      if (!launchNext()) {
+        finish(null);
+      }
     });
-    
-    if (!response.data || !response.data.data || !Array.isArray(response.data.data)) {
-      return [];
+  }
+
+  /**
+   * Short failure reason for breaker history (timeouts called out)
+   */
+  describeFailure(error) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return 'timeout';
     }
-    
-    return response.data.data.map(item => ({
-      name: item.city || item.name || '',
-      city: item.city || item.name || '',
-      state: item.region || '',
-      country: item.country || '',
-      displayName: this.formatDisplayName(
-        item.city || item.name,
-        null,
-        item.region,
-        item.country
-      ),
-      latitude: item.latitude || null,
-      longitude: item.longitude || null,
-      type: 'city',
-    })).filter(location => location.name);
+    return error.response ? `HTTP ${error.response.status}` : error.message;
   }
 
   /**
-   * Format display name consistently
+   * Circuit breaker state per provider
    */
-  formatDisplayName(name, city, state, country) {
-    const parts = [];
-    
-    if (name) parts.push(name);
-    else if (city) parts.push(city);
-    
-    if (state) parts.push(state);
-    if (country) parts.push(country);
-    
-    return parts.join(', ');
+  getBreakerStatus() {
+    const status = {};
+    Object.entries(this.breakers).forEach(([key, breaker]) => {
+      status[key] = breaker.getStatus();
+    });
+    return status;
   }
 
   /**
-   * Cache management
+   * Configured providers that support the type, priority providers first
    */
-  getCacheKey(query, type) {
-    return `${query.toLowerCase()}_${type || 'default'}`;
+  getProvidersForType(type) {
+    const providers = this.providers.filter(provider => provider.supportsType(type));
+
+    return [
+      ...providers.filter(provider => provider.isPriorityFor(type)),
+      ...providers.filter(provider => !provider.isPriorityFor(type)),
+    ];
   }
 
-  getFromCache(key) {
-    const cached = this.cache.get(key);
-    
-    if (!cached) return null;
+  /**
+   * Keep a rolling window of latency samples per provider
+   * (and feed the latency histogram)
+   */
+  recordLatency(providerKey, ms, outcome) {
+    providerDuration.observe({ provider: providerKey, outcome }, ms / 1000);
     
-    // Check if expired
-    if (Date.now() - cached.timestamp > this.cacheTTL) {
-      this.cache.delete(key);
-      return null;
+    const samples = this.latencySamples[providerKey];
+    samples.push(ms);
+
+    if (samples.length > this.latencySampleSize) {
+      samples.shift();
     }
-    
-    return cached.data;
   }
 
-  saveToCache(key, data) {
-    // Implement LRU: remove oldest if cache is full
-    if (this.cache.size >= this.cacheMaxSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
-    
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now(),
+  getLatencyStats() {
+    const latency = {};
+
+    Object.entries(this.latencySamples).forEach(([providerKey, samples]) => {
+      if (samples.length === 0) {
+        latency[providerKey] = { samples: 0 };
+        return;
+      }
+
+      const sorted = [...samples].sort((a, b) => a - b);
+      const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+      latency[providerKey] = {
+        samples: sorted.length,
+        avgMs: Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+        p50Ms: percentile(0.5),
+        p95Ms: percentile(0.95),
+        maxMs: sorted[sorted.length - 1],
+        lastMs: samples[samples.length - 1],
+      };
     });
+
+    return latency;
   }
 
-  startCacheCleanup() {
-    // Clean expired entries every 10 minutes
-    this.cleanupInterval = setInterval(() => {
-      let removed = 0;
-      const now = Date.now();
-      
-      for (const [key, value] of this.cache.entries()) {
-        if (now - value.timestamp > this.cacheTTL) {
-          this.cache.delete(key);
-          removed++;
-        }
-      }
-      
-      if (removed > 0) {
-        console.log(`[LocationService] Cache cleanup: removed ${removed} expired entries`);
+  /**
+   * Enforce country/bbox restrictions on every provider's results,
+   * including providers that can only bias rather than filter
+   */
+  applyRestrictions(results, options) {
+    const { countries, bbox } = options;
+
+    if (!results || (!countries && !bbox)) {
+      return results;
+    }
+
+    return results.filter(location => {
+      if (countries && !countries.includes(location.countryCode)) {
+        return false;
       }
-    }, 600000); // 10 minutes
+
+      return !bbox || isInBoundingBox(location.latitude, location.longitude, bbox);
+    });
   }
 
   /**
-   * Rate limiting
+   * Cache management
    */
-  checkRateLimit(providerKey) {
-    const config = this.providers[providerKey];
-    const tracker = this.rateLimitTrackers[providerKey];
-    const now = Date.now();
-    
-    // Remove old requests outside the window
-    const windowStart = now - config.rateLimit.window;
-    this.rateLimitTrackers[providerKey] = tracker.filter(t => t > windowStart);
-    
-    // Check if limit exceeded
-    if (this.rateLimitTrackers[providerKey].length >= config.rateLimit.requests) {
-      return false;
-    }
+  getCacheKey(query, type, options = {}) {
+    const parts = [query.toLowerCase(), type || 'default', options.lang || DEFAULT_LANGUAGE];
+    
+    if (options.countries) parts.push(`c=${options.countries.join(',')}`);
+    if (options.bbox) parts.push(`bbox=${options.bbox.join(',')}`);
     
-    // Add current request
-    this.rateLimitTrackers[providerKey].push(now);
-    return true;
+    // Bias only changes ordering, so nearby positions (~10km) can share an entry
+    if (options.bias) parts.push(`near=${options.bias.lat.toFixed(1)},${options.bias.lon.toFixed(1)}`);
+    
+    return parts.join('_');
+  }
+
+  /**
+   * Rate limiting: a token from the provider's scheduler
+   * @returns {Promise<number>|null} Resolves (with the ms waited) when the
+   *   request may be sent, or null if the wait would be too long
+   */
+  scheduleRequest(provider, signal) {
+    const scheduler = this.schedulers[provider.key];
+
+    // Offline providers have no usage policy
+    if (!scheduler) {
+      return Promise.resolve(0);
+    }
+
+    return scheduler.schedule({ signal });
+  }
+
+  /**
+   * Queue depth and wait times per rate-limited provider
+   */
+  getQueueStats() {
+    const queues = {};
+    Object.entries(this.schedulers).forEach(([key, scheduler]) => {
+      if (scheduler) {
+        queues[key] = scheduler.getStats();
+      }
+    });
+    return queues;
   }
 
   /**
@@ -426,9 +747,15 @@ class LocationService {
   getStats() {
     return {
       ...this.stats,
-      cacheSize: this.cache.size,
+      providers: this.getProviders(),
+      providerLatency: this.getLatencyStats(),
+      hedgeDelayMs: this.hedgeDelayMs,
+      cache: this.cache.getStats(),
+      inFlightLookups: this.inFlight.size,
+      breakers: this.getBreakerStatus(),
+      rateLimitQueues: this.getQueueStats(),
       cacheHitRate: this.stats.totalRequests > 0 
-        ? ((this.stats.cacheHits / this.stats.totalRequests) * 100).toFixed(2) + '%'
+        ? (((this.stats.cacheHits + this.stats.prefixCacheHits) / this.stats.totalRequests) * 100).toFixed(2) + '%'
         : '0%',
     };
   }
@@ -436,34 +763,50 @@ class LocationService {
   /**
    * Clear cache and stats (useful for testing)
    */
-  reset() {
-    this.cache.clear();
-    this.stats = {
-      totalRequests: 0,
-      cacheHits: 0,
-      cacheMisses: 0,
-      providerUsage: {
-        photon: 0,
-        nominatim: 0,
-        geodb: 0,
-      },
-      providerFailures: {
-        photon: 0,
-        nominatim: 0,
-        geodb: 0,
-      },
-    };
+  async reset() {
+    await this.cache.clear();
+    this.cache.resetStats();
+    this.placeCache.clear();
+    this.stats = this.createStats();
+    this.latencySamples = this.createProviderCounters(() => []);
+    this.breakers = this.createProviderCounters(provider => this.createBreaker(provider));
+    
+    // Schedulers keep their tokens so a reset can't burst past a provider's policy
+    Object.values(this.schedulers).forEach(scheduler => scheduler?.resetStats());
   }
 
   /**
    * Cleanup on shutdown
    */
-  destroy() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-    }
-    this.cache.clear();
+  async destroy() {
+    await this.cache.close();
   }
 }
 
-module.exports = new LocationService();
\ No newline at end of file
+const locationService = new LocationService();
+
+metrics.gauge({
+  name: 'location_provider_circuit_state',
+  help: 'Location provider circuit breaker state (1 for the current state)',
+  labelNames: ['provider', 'state'],
+  collect: (gauge) => {
+    Object.entries(locationService.breakers).forEach(([provider, breaker]) => {
+      Object.values(STATES).forEach(state => {
+        gauge.set({ provider, state }, breaker.state === state ? 1 : 0);
+      });
+    });
+  },
+});
+
+metrics.gauge({
+  name: 'location_provider_queue_depth',
+  help: 'Location provider requests waiting for a rate limit token',
+  labelNames: ['provider'],
+  collect: (gauge) => {
+    Object.entries(locationService.schedulers).forEach(([provider, scheduler]) => {
+      if (scheduler) gauge.set({ provider }, scheduler.queue.length);
+    });
+  },
+});
+
+module.exports = locationService;
\ No newline at end of file
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const googleSheetsService = require('./googleSheetsService');
+const { JsonFile } = require('../utils/jsonFile');
+const logger = require('../utils/logger');
+
+const log = logger.child('SheetsOutbox');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'storage', 'sheets-outbox.json');
+
+/**
+ * Durable outbox for Google Sheets writes
+ *
+ * Rows that fail to append (quota, network, expired auth) are written to a
+ * local JSON file instead of being dropped, then retried in the background
+ * with exponential backoff. Due rows are appended one batch per sheet
+ * (at most maxBatchSize rows per call). Rows that keep failing are moved to a
+ * dead-letter list so they can be inspected and replayed by hand.
+ * A file that can't be parsed is renamed to <file>.corrupt-<timestamp>
+ * and the outbox starts empty, so one bad write doesn't block new ones.
+ */
+class SheetsOutbox {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.SHEETS_OUTBOX_FILE || DEFAULT_FILE_PATH;
+    this.file = new JsonFile(this.filePath, { indent: 2 });
+    this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.SHEETS_OUTBOX_POLL_MS, 10) || 5000;
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.SHEETS_OUTBOX_BASE_DELAY_MS, 10) || 10000;
+    this.maxDelayMs = options.maxDelayMs || parseInt(process.env.SHEETS_OUTBOX_MAX_DELAY_MS, 10) || 3600000; // 1 hour
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.SHEETS_OUTBOX_MAX_ATTEMPTS, 10) || 10;
+    this.maxBatchSize = options.maxBatchSize || parseInt(process.env.SHEETS_OUTBOX_BATCH_SIZE, 10) || 100;
+
+    this.state = null;
+    this.processing = false;
+    this.pollInterval = null;
+  }
+
+  /**
+   * Store a failed row for later retry
+   * @returns {Object} The outbox entry
+   */
+  async enqueue(sheetName, rowData, error) {
+    return this.withState(async (state) => {
+      const now = Date.now();
+      const entry = {
+        id: crypto.randomUUID(),
+        sheetName,
+        rowData,
+        attempts: 1,
+        createdAt: new Date(now).toISOString(),
+        nextAttemptAt: new Date(now + this.getBackoffDelay(1)).toISOString(),
+        lastError: error ? error.message : null,
+      };
+
+      state.pending.push(entry);
+      log.warn('Queued row for retry', { sheet: sheetName, entryId: entry.id, error: entry.lastError });
+
+      return entry;
+    });
+  }
+
+  /**
+   * Retry every pending row that is due
+   */
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const due = await this.withState(async (state) => {
+        const now = Date.now();
+        return state.pending.filter(entry => Date.parse(entry.nextAttemptAt) <= now);
+      });
+
+      // One append per sheet, like the write buffer, so retries don't multiply quota use
+      const bySheet = new Map();
+      due.forEach(entry => {
+        if (!bySheet.has(entry.sheetName)) {
+          bySheet.set(entry.sheetName, []);
+        }
+        bySheet.get(entry.sheetName).push(entry);
+      });
+
+      for (const [sheetName, entries] of bySheet) {
+        for (let i = 0; i < entries.length; i += this.maxBatchSize) {
+          await this.retry(sheetName, entries.slice(i, i + this.maxBatchSize));
+        }
+      }
+    } catch (error) {
+      log.error('Error processing outbox', { error: error.message });
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Append a batch of due rows for one sheet and record the outcome
+   */
+  async retry(sheetName, entries) {
+    let error = null;
+
+    try {
+      await googleSheetsService.appendRows(sheetName, entries.map(entry => entry.rowData));
+    } catch (err) {
+      error = err;
+    }
+
+    await this.withState(async (state) => {
+      const ids = new Set(entries.map(entry => entry.id));
+      const current = state.pending.filter(pending => ids.has(pending.id));
+      if (current.length === 0) return;
+
+      if (!error) {
+        state.pending = state.pending.filter(pending => !ids.has(pending.id));
+        log.info('Delivered queued rows', { sheet: sheetName, rows: current.length, entryIds: current.map(entry => entry.id) });
+        return;
+      }
+
+      const retryAt = [];
+
+      current.forEach(entry => {
+        entry.attempts++;
+        entry.lastError = error.message;
+
+        if (entry.attempts >= this.maxAttempts) {
+          state.pending.splice(state.pending.indexOf(entry), 1);
+          state.deadLetter.push({
+            ...entry,
+            nextAttemptAt: null,
+            deadLetteredAt: new Date().toISOString(),
+          });
+          log.error('Dead-lettered row', { sheet: sheetName, entryId: entry.id, attempts: entry.attempts, error: error.message });
+          return;
+        }
+
+        entry.nextAttemptAt = new Date(Date.now() + this.getBackoffDelay(entry.attempts)).toISOString();
+        retryAt.push(entry.nextAttemptAt);
+      });
+
+      if (retryAt.length > 0) {
+        log.warn('Retry failed', { sheet: sheetName, rows: retryAt.length, nextAttemptAt: retryAt.sort()[0], error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Exponential backoff with jitter, capped at maxDelayMs
+   */
+  getBackoffDelay(attempts) {
+    const delay = Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs);
+    const jitter = Math.random() * delay * 0.2;
+    return Math.round(delay + jitter);
+  }
+
+  /**
+   * Get pending and dead-lettered rows
+   */
+  async getStatus() {
+    return this.withState(async (state) => ({
+      pendingCount: state.pending.length,
+      deadLetterCount: state.deadLetter.length,
+      maxAttempts: this.maxAttempts,
+      pending: state.pending,
+      deadLetter: state.deadLetter,
+    }), { readOnly: true });
+  }
+
+  /**
+   * Run fn against the loaded state and persist any changes
+   */
+  async withState(fn, { readOnly = false } = {}) {
+    // Serialize file access so enqueue and retry never race
+    return this.file.exclusive(async () => {
+      if (!this.state) {
+        this.state = await this.load();
+      }
+
+      const result = await fn(this.state);
+
+      if (!readOnly) {
+        await this.file.write(this.state);
+      }
+
+      return result;
+    });
+  }
+
+  async load() {
+    let state;
+
+    try {
+      state = await this.file.read();
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) {
+        throw error;
+      }
+
+      // Keep the broken file for inspection rather than failing every write from now on
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      await fs.rename(this.filePath, corruptPath);
+      log.error('Outbox file is unreadable, moved it aside and starting empty', { file: this.filePath, movedTo: corruptPath, error: error.message });
+    }
+
+    return {
+      pending: state?.pending || [],
+      deadLetter: state?.deadLetter || [],
+    };
+  }
+
+  /**
+   * Start the background retry loop
+   */
+  start() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+    }
+
+    log.info('Starting retry loop', { intervalMs: this.pollIntervalMs });
+
+    this.pollInterval = setInterval(() => this.processDue(), this.pollIntervalMs);
+  }
+
+  /**
+   * Stop the background retry loop
+   */
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+      log.info('Retry loop stopped');
+    }
+  }
+}
+
+module.exports = new SheetsOutbox();
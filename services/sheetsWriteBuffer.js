@@ -0,0 +1,141 @@
+const googleSheetsService = require('./googleSheetsService');
+const sheetsOutbox = require('./sheetsOutbox');
+const logger = require('../utils/logger');
+const { runWithoutContext } = require('../utils/requestContext');
+
+const log = logger.child('SheetsWriteBuffer');
+
+/**
+ * Batched writes to Google Sheets
+ *
+ * Rows are held briefly per sheet and appended in a single API call, so a
+ * burst of campaign traffic costs one request per sheet instead of one per
+ * lead. A sheet's buffer is flushed when it reaches maxBatchSize rows or
+ * when its oldest row has waited maxWaitMs, whichever comes first.
+ * Batches that fail are handed to the outbox row by row.
+ *
+ * add() settles once the row's batch has been written or queued in the
+ * outbox, so callers learn which one happened. Until then (up to
+ * maxWaitMs, SHEETS_BATCH_MAX_WAIT_MS) rows exist only in memory: a crash
+ * loses them, though their requests never got a success response.
+ * SIGTERM flushes every buffer before exiting.
+ */
+class SheetsWriteBuffer {
+  constructor(options = {}) {
+    this.maxBatchSize = options.maxBatchSize || parseInt(process.env.SHEETS_BATCH_MAX_SIZE, 10) || 20;
+    this.maxWaitMs = options.maxWaitMs || parseInt(process.env.SHEETS_BATCH_MAX_WAIT_MS, 10) || 2000;
+
+    // sheetName -> { rows, timer }
+    this.buffers = new Map();
+    this.inFlight = new Set();
+
+    this.stats = {
+      rowsBuffered: 0,
+      batchesFlushed: 0,
+      rowsFlushed: 0,
+      batchesFailed: 0,
+    };
+  }
+
+  /**
+   * Buffer a row for the given sheet
+   * @returns {Promise<Object>} { sheet, batched, queued } once the batch is
+   *   written (queued false) or the row is in the outbox (queued true, outboxId);
+   *   rejects if the row could be neither written nor queued
+   */
+  add(sheetName, rowData) {
+    let buffer = this.buffers.get(sheetName);
+
+    if (!buffer) {
+      buffer = { rows: [], timer: null };
+      this.buffers.set(sheetName, buffer);
+    }
+
+    const result = new Promise((resolve, reject) => {
+      buffer.rows.push({ rowData, resolve, reject });
+    });
+    this.stats.rowsBuffered++;
+
+    if (buffer.rows.length >= this.maxBatchSize) {
+      this.flush(sheetName);
+    } else if (!buffer.timer) {
+      // The batch belongs to every request in it, not the one that started it
+      buffer.timer = runWithoutContext(() => setTimeout(() => this.flush(sheetName), this.maxWaitMs));
+    }
+
+    return result;
+  }
+
+  /**
+   * Append everything buffered for one sheet
+   */
+  flush(sheetName) {
+    const buffer = this.buffers.get(sheetName);
+    if (!buffer || buffer.rows.length === 0) {
+      return Promise.resolve();
+    }
+
+    clearTimeout(buffer.timer);
+    this.buffers.delete(sheetName);
+
+    const write = runWithoutContext(() => this.writeBatch(sheetName, buffer.rows));
+    this.inFlight.add(write);
+    write.finally(() => this.inFlight.delete(write));
+
+    return write;
+  }
+
+  async writeBatch(sheetName, entries) {
+    try {
+      await googleSheetsService.appendRows(sheetName, entries.map(entry => entry.rowData));
+
+      this.stats.batchesFlushed++;
+      this.stats.rowsFlushed += entries.length;
+      log.info('Flushed batch', { sheet: sheetName, rows: entries.length });
+
+      entries.forEach(entry => entry.resolve({ sheet: sheetName, batched: true, queued: false }));
+    } catch (error) {
+      this.stats.batchesFailed++;
+      log.error('Batch failed, queueing rows for retry', { sheet: sheetName, rows: entries.length, error: error.message });
+
+      for (const entry of entries) {
+        try {
+          const outboxEntry = await sheetsOutbox.enqueue(sheetName, entry.rowData, error);
+          entry.resolve({ sheet: sheetName, batched: true, queued: true, outboxId: outboxEntry.id });
+        } catch (outboxError) {
+          log.error('Failed to queue row, row lost', { sheet: sheetName, error: outboxError.message });
+          entry.reject(outboxError);
+        }
+      }
+    }
+  }
+
+  /**
+   * Flush every sheet and wait for in-flight batches (used on shutdown)
+   */
+  async flushAll() {
+    const sheetNames = [...this.buffers.keys()];
+    sheetNames.forEach(sheetName => this.flush(sheetName));
+
+    await Promise.allSettled([...this.inFlight]);
+  }
+
+  /**
+   * Get buffer statistics
+   */
+  getStats() {
+    const pending = {};
+    this.buffers.forEach((buffer, sheetName) => {
+      pending[sheetName] = buffer.rows.length;
+    });
+
+    return {
+      ...this.stats,
+      maxBatchSize: this.maxBatchSize,
+      maxWaitMs: this.maxWaitMs,
+      pending,
+    };
+  }
+}
+
+module.exports = new SheetsWriteBuffer();
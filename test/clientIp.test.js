@@ -0,0 +1,174 @@
+// TRUST_PROXY is read when the module loads, so each configuration gets a fresh copy
+const loadClientIp = (trustProxy) => {
+  const previous = process.env.TRUST_PROXY;
+  let clientIp;
+
+  if (trustProxy === undefined) {
+    delete process.env.TRUST_PROXY;
+  } else {
+    process.env.TRUST_PROXY = trustProxy;
+  }
+
+  jest.isolateModules(() => {
+    clientIp = require('../utils/clientIp');
+  });
+
+  if (previous === undefined) {
+    delete process.env.TRUST_PROXY;
+  } else {
+    process.env.TRUST_PROXY = previous;
+  }
+
+  return clientIp;
+};
+
+const request = (remoteAddress, headers = {}) => ({ socket: { remoteAddress }, headers });
+
+describe('normalizeIp', () => {
+  const { normalizeIp } = loadClientIp();
+
+  test('keeps plain IPv4 addresses', () => {
+    expect(normalizeIp('203.0.113.7')).toBe('203.0.113.7');
+    expect(normalizeIp(' 203.0.113.7 ')).toBe('203.0.113.7');
+  });
+
+  test('strips ports, brackets and zone ids', () => {
+    expect(normalizeIp('203.0.113.7:51234')).toBe('203.0.113.7');
+    expect(normalizeIp('[2001:db8::1]:8080')).toBe('2001:db8::1');
+    expect(normalizeIp('[2001:db8::1]')).toBe('2001:db8::1');
+    expect(normalizeIp('fe80::1%eth0')).toBe('fe80::1');
+  });
+
+  test('unwraps IPv4-mapped IPv6', () => {
+    expect(normalizeIp('::ffff:203.0.113.7')).toBe('203.0.113.7');
+    expect(normalizeIp('::ffff:cb00:7107')).toBe('203.0.113.7');
+  });
+
+  test('writes IPv6 in canonical form', () => {
+    expect(normalizeIp('2001:0DB8:0000:0000:0000:0000:0000:0001')).toBe('2001:db8::1');
+    expect(normalizeIp('2001:db8:0:0:1:0:0:1')).toBe('2001:db8::1:0:0:1');
+    expect(normalizeIp('2001:db8:0:1:1:1:1:1')).toBe('2001:db8:0:1:1:1:1:1');
+    expect(normalizeIp('0:0:0:0:0:0:0:1')).toBe('::1');
+    expect(normalizeIp('::')).toBe('::');
+  });
+
+  test('rejects anything that is not an IP address', () => {
+    expect(normalizeIp('unknown')).toBeNull();
+    expect(normalizeIp('203.0.113.256')).toBeNull();
+    expect(normalizeIp('')).toBeNull();
+    expect(normalizeIp(undefined)).toBeNull();
+  });
+});
+
+describe('parseTrustProxy', () => {
+  const { parseTrustProxy } = loadClientIp();
+
+  test('trusts nothing when unset or false', () => {
+    expect(parseTrustProxy(undefined)).toEqual({ cidrs: [] });
+    expect(parseTrustProxy('false')).toEqual({ cidrs: [] });
+  });
+
+  test('reads a hop count', () => {
+    expect(parseTrustProxy('2')).toEqual({ hops: 2 });
+  });
+
+  test('expands keywords and parses CIDRs and single addresses', () => {
+    const { cidrs } = parseTrustProxy('loopback, 10.0.0.0/8, 2001:db8::/32, 192.0.2.1');
+
+    expect(cidrs.map(cidr => [cidr.version, cidr.prefix])).toEqual([
+      [4, 8],
+      [6, 128],
+      [4, 8],
+      [6, 32],
+      [4, 32],
+    ]);
+  });
+
+  test('masks host bits off the network address', () => {
+    const [cidr] = parseTrustProxy('10.1.2.3/8').cidrs;
+    expect(cidr.network).toBe(10n << 24n);
+  });
+
+  test('rejects invalid entries', () => {
+    expect(() => parseTrustProxy('proxy.internal')).toThrow('Invalid TRUST_PROXY entry');
+    expect(() => parseTrustProxy('10.0.0.0/33')).toThrow('Invalid TRUST_PROXY prefix length');
+    expect(() => parseTrustProxy('10.0.0.0/abc')).toThrow('Invalid TRUST_PROXY prefix length');
+    expect(() => parseTrustProxy('2001:db8::/129')).toThrow('Invalid TRUST_PROXY prefix length');
+  });
+});
+
+describe('getClientIp', () => {
+  test('uses the socket address when no proxy is trusted', () => {
+    const { getClientIp } = loadClientIp();
+
+    expect(getClientIp(request('::ffff:203.0.113.7', { 'x-forwarded-for': '198.51.100.1' }))).toBe('203.0.113.7');
+    expect(getClientIp(request(undefined))).toBe('unknown');
+  });
+
+  test('walks X-Forwarded-For right to left past trusted proxies', () => {
+    const { getClientIp } = loadClientIp('loopback,10.0.0.0/8');
+
+    // The left-most entry was sent by the client and can't be believed
+    const req = request('127.0.0.1', { 'x-forwarded-for': '1.1.1.1, 198.51.100.1, 10.0.0.2' });
+    expect(getClientIp(req)).toBe('198.51.100.1');
+  });
+
+  test('ignores X-Forwarded-For from an untrusted peer', () => {
+    const { getClientIp } = loadClientIp('10.0.0.0/8');
+
+    expect(getClientIp(request('203.0.113.7', { 'x-forwarded-for': '198.51.100.1' }))).toBe('203.0.113.7');
+  });
+
+  test('stops at the last valid hop when the chain holds garbage', () => {
+    const { getClientIp } = loadClientIp('10.0.0.0/8');
+
+    const req = request('10.0.0.1', { 'x-forwarded-for': '198.51.100.1, not-an-ip, 10.0.0.2' });
+    expect(getClientIp(req)).toBe('10.0.0.2');
+  });
+
+  test('trusts a fixed number of hops', () => {
+    const { getClientIp } = loadClientIp('1');
+
+    const req = request('203.0.113.9', { 'x-forwarded-for': '1.1.1.1, 198.51.100.1' });
+    expect(getClientIp(req)).toBe('198.51.100.1');
+  });
+
+  test('uses X-Real-IP only from a trusted peer without X-Forwarded-For', () => {
+    const { getClientIp } = loadClientIp('loopback');
+
+    expect(getClientIp(request('127.0.0.1', { 'x-real-ip': '198.51.100.1' }))).toBe('198.51.100.1');
+    expect(getClientIp(request('203.0.113.7', { 'x-real-ip': '198.51.100.1' }))).toBe('203.0.113.7');
+  });
+
+  test('caches the result on the request', () => {
+    const { getClientIp } = loadClientIp();
+    const req = request('203.0.113.7');
+
+    getClientIp(req);
+    req.socket.remoteAddress = '198.51.100.1';
+    expect(getClientIp(req)).toBe('203.0.113.7');
+  });
+});
+
+describe('isTrustedProxy', () => {
+  test('matches addresses against the configured networks', () => {
+    const { isTrustedProxy } = loadClientIp('private,fc00::/7');
+
+    expect(isTrustedProxy('172.16.5.4', 0)).toBe(true);
+    expect(isTrustedProxy('172.32.0.1', 0)).toBe(false);
+    expect(isTrustedProxy('::ffff:192.168.1.1', 0)).toBe(true);
+    expect(isTrustedProxy('fd12::1', 0)).toBe(true);
+    expect(isTrustedProxy('2001:db8::1', 0)).toBe(false);
+    expect(isTrustedProxy('garbage', 0)).toBe(false);
+  });
+});
+
+describe('getClientNetwork', () => {
+  const { getClientNetwork } = loadClientIp();
+
+  test('keeps IPv4 addresses and groups IPv6 by /64', () => {
+    expect(getClientNetwork('203.0.113.7')).toBe('203.0.113.7');
+    expect(getClientNetwork('2001:db8:1:2:3:4:5:6')).toBe('2001:db8:1:2::/64');
+    expect(getClientNetwork('unknown')).toBe('unknown');
+  });
+});
@@ -0,0 +1,118 @@
+const duplicateDetector = require('../services/duplicateDetector');
+const { Query } = require('../models/Query');
+
+const DuplicateDetector = duplicateDetector.constructor;
+
+const query = (overrides = {}) => {
+  const result = new Query({
+    type: 'flight',
+    name: 'Asha Rao',
+    mobile: '+919876543210',
+    searchData: { from: 'Mumbai', to: 'Delhi', date: '2026-10-20', people: 2 },
+  });
+  result.searchData = { ...result.searchData, ...overrides.searchData };
+  if (overrides.name) result.name = overrides.name;
+  return result;
+};
+
+describe('DuplicateDetector', () => {
+  const detectors = [];
+  const create = (mode) => {
+    const detector = new DuplicateDetector({ mode, windowMs: 1000 });
+    detectors.push(detector);
+    return detector;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 0 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    duplicateDetector.destroy();
+    detectors.forEach(detector => detector.destroy());
+  });
+
+  test('drops exact repeats within the window', () => {
+    const detector = create('suppress');
+    const original = query();
+
+    expect(detector.claim(original)).toEqual({ duplicate: false });
+    expect(detector.claim(query({ name: ' asha rao ' }))).toMatchObject({
+      duplicate: true,
+      original: { reference: original.reference, submissions: 2 },
+    });
+
+    jest.advanceTimersByTime(1001);
+    expect(detector.claim(query())).toEqual({ duplicate: false });
+  });
+
+  test('never drops a resubmission that changes the traveller count or name', () => {
+    const detector = create('suppress');
+    detector.claim(query());
+
+    const corrected = query({ searchData: { people: 4 } });
+    expect(detector.claim(corrected)).toEqual({ duplicate: false });
+    expect(detector.claim(query({ name: 'Asha R' }))).toEqual({ duplicate: false });
+
+    // The corrected version is what later repeats are checked against
+    expect(detector.claim(query({ name: 'Asha R' }))).toMatchObject({ duplicate: true });
+  });
+
+  test('merge mode saves corrections under the original reference', () => {
+    const detector = create('merge');
+    const original = query();
+    detector.claim(original);
+
+    expect(detector.claim(query({ searchData: { people: 4 } }))).toMatchObject({
+      duplicate: false,
+      merged: true,
+      original: { reference: original.reference, submissions: 2 },
+    });
+    expect(detector.claim(query({ searchData: { people: 4 } }))).toMatchObject({
+      duplicate: true,
+      original: { reference: original.reference },
+    });
+  });
+
+  test('release undoes a failed merge without dropping the original claim', () => {
+    const detector = create('merge');
+    const original = query();
+    detector.claim(original);
+
+    const corrected = query({ searchData: { people: 4 } });
+    const claimed = detector.claim(corrected);
+    corrected.reference = claimed.original.reference;
+    detector.release(corrected, claimed);
+
+    expect(detector.claim(query())).toMatchObject({ duplicate: true, original: { reference: original.reference } });
+    expect(detector.claim(query({ searchData: { people: 4 } }))).toMatchObject({ merged: true });
+  });
+
+  test('release forgets a failed original', () => {
+    const detector = create('suppress');
+    const original = query();
+    const claimed = detector.claim(original);
+
+    detector.release(original, claimed);
+    expect(detector.claim(query())).toEqual({ duplicate: false });
+  });
+
+  test('extend mode slides the window on each repeat', () => {
+    const detector = create('extend');
+    detector.claim(query());
+
+    jest.advanceTimersByTime(800);
+    expect(detector.claim(query())).toMatchObject({ duplicate: true });
+
+    jest.advanceTimersByTime(800);
+    expect(detector.claim(query())).toMatchObject({ duplicate: true });
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => new DuplicateDetector({ mode: 'squash' })).toThrow('Invalid DUPLICATE_MODE "squash"');
+  });
+});
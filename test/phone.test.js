@@ -0,0 +1,51 @@
+const { normalizePhoneNumber } = require('../utils/phone');
+
+describe('normalizePhoneNumber', () => {
+  test('adds the default country code to national numbers', () => {
+    expect(normalizePhoneNumber('9876543210')).toBe('+919876543210');
+    expect(normalizePhoneNumber(9876543210)).toBe('+919876543210');
+  });
+
+  test('accepts common separators', () => {
+    expect(normalizePhoneNumber(' 98765 43210 ')).toBe('+919876543210');
+    expect(normalizePhoneNumber('(987) 654-3210')).toBe('+919876543210');
+    expect(normalizePhoneNumber('98765.43210')).toBe('+919876543210');
+  });
+
+  test('drops the national trunk prefix', () => {
+    expect(normalizePhoneNumber('09876543210')).toBe('+919876543210');
+  });
+
+  test('recognises Indian numbers typed with the country code but no +', () => {
+    expect(normalizePhoneNumber('919876543210')).toBe('+919876543210');
+  });
+
+  test('keeps international numbers', () => {
+    expect(normalizePhoneNumber('+91 98765 43210')).toBe('+919876543210');
+    expect(normalizePhoneNumber('+1 415 555 2671')).toBe('+14155552671');
+    expect(normalizePhoneNumber('0044 20 7946 0958')).toBe('+442079460958');
+  });
+
+  test('uses the given default country code', () => {
+    expect(normalizePhoneNumber('4155552671', '1')).toBe('+14155552671');
+  });
+
+  test('rejects invalid Indian mobiles', () => {
+    expect(normalizePhoneNumber('5876543210')).toBeNull(); // must start with 6-9
+    expect(normalizePhoneNumber('987654321')).toBeNull(); // 9 digits
+    expect(normalizePhoneNumber('+91 12345 67890')).toBeNull();
+  });
+
+  test('rejects numbers outside E.164 length limits', () => {
+    expect(normalizePhoneNumber('+1234567')).toBeNull();
+    expect(normalizePhoneNumber('+1234567890123456')).toBeNull();
+  });
+
+  test('rejects letters, formulas and missing values', () => {
+    expect(normalizePhoneNumber('98765abcde')).toBeNull();
+    expect(normalizePhoneNumber('=HYPERLINK("x")')).toBeNull();
+    expect(normalizePhoneNumber('')).toBeNull();
+    expect(normalizePhoneNumber(undefined)).toBeNull();
+    expect(normalizePhoneNumber(null)).toBeNull();
+  });
+});
@@ -0,0 +1,156 @@
+const { Query } = require('../models/Query');
+
+// 19 Oct 2026, 11:30 am IST
+const NOW = Date.UTC(2026, 9, 19, 6, 0);
+
+const journey = (searchData = {}, overrides = {}) => new Query({
+  type: 'flight',
+  name: 'Asha Rao',
+  mobile: '98765 43210',
+  searchData: { from: 'Mumbai', to: 'Delhi', date: '2026-10-20', ...searchData },
+  ...overrides,
+});
+
+const stay = (searchData = {}) => new Query({
+  type: 'hotel',
+  name: 'Asha Rao',
+  mobile: '9876543210',
+  searchData: { location: 'Goa', checkIn: '2026-10-20', checkOut: '2026-10-22', ...searchData },
+});
+
+describe('Query.validate', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('accepts a valid journey and normalizes it in place', () => {
+    const query = journey({ from: ' Mumbai ', date: '2026-10-20T09:00:00+05:30', people: '2' }, { name: ' Asha Rao ' });
+
+    expect(query.validate()).toEqual({ isValid: true, errors: [], fieldErrors: {} });
+    expect(query.name).toBe('Asha Rao');
+    expect(query.mobile).toBe('+919876543210');
+    expect(query.searchData).toMatchObject({ from: 'Mumbai', to: 'Delhi', date: '2026-10-20', people: 2 });
+  });
+
+  test('reports every missing field by name', () => {
+    const query = new Query({ type: 'train', searchData: {} });
+
+    expect(query.validate()).toEqual({
+      isValid: false,
+      errors: expect.any(Array),
+      fieldErrors: {
+        name: 'name is required',
+        mobile: 'mobile is required',
+        from: 'from is required',
+        to: 'to is required',
+        date: 'date is required',
+      },
+    });
+  });
+
+  test('leaves the query untouched when invalid', () => {
+    const query = journey({ date: '2026-10-18' });
+
+    expect(query.validate().isValid).toBe(false);
+    expect(query.mobile).toBe('98765 43210');
+  });
+
+  test('rejects unknown types', () => {
+    const { fieldErrors } = new Query({ type: 'ferry', name: 'Asha', mobile: '9876543210' }).validate();
+
+    expect(fieldErrors.type).toBe('Invalid type. Must be one of: flight, train, bus, hotel');
+  });
+
+  test('rejects invalid names and mobiles', () => {
+    expect(journey({}, { name: '   ' }).validate().fieldErrors).toEqual({ name: 'name is required' });
+    expect(journey({}, { name: 'a'.repeat(101) }).validate().fieldErrors).toEqual({ name: 'name must be at most 100 characters' });
+    expect(journey({}, { mobile: '12345' }).validate().fieldErrors).toEqual({ mobile: 'mobile must be a valid phone number' });
+  });
+
+  test('rejects the same from and to', () => {
+    expect(journey({ to: 'mumbai' }).validate().fieldErrors).toEqual({ to: 'to must be different from from' });
+    expect(journey({ fromId: 'airport:BOM', toId: 'airport:BOM' }).validate().fieldErrors).toEqual({ to: 'to must be different from from' });
+  });
+
+  test('accepts a location id in place of the text', () => {
+    const query = journey({ from: '', fromId: 'airport:BOM' });
+
+    expect(query.validate().isValid).toBe(true);
+    expect(query.searchData).toMatchObject({ from: '', fromId: 'airport:BOM' });
+    expect(journey({ toId: 'not an id' }).validate().fieldErrors).toEqual({ toId: 'toId must be a location id' });
+  });
+
+  test('accepts today in IST and rejects past dates', () => {
+    expect(journey({ date: '2026-10-19' }).validate().isValid).toBe(true);
+    expect(journey({ date: '2026-10-18' }).validate().fieldErrors).toEqual({ date: 'date cannot be in the past' });
+  });
+
+  test('rejects impossible and malformed dates', () => {
+    const invalid = { date: 'date must be a valid date (YYYY-MM-DD)' };
+
+    expect(Query.parseDate('2026-02-30')).toBeNull();
+    expect(Query.parseDate('2028-02-29')).toBe('2028-02-29');
+    expect(journey({ date: '2027-02-30' }).validate().fieldErrors).toEqual(invalid);
+    expect(journey({ date: '2026-13-01' }).validate().fieldErrors).toEqual(invalid);
+    expect(journey({ date: '20/10/2026' }).validate().fieldErrors).toEqual(invalid);
+    expect(journey({ date: '2026-10-20Tnoon' }).validate().fieldErrors).toEqual(invalid);
+  });
+
+  test('defaults people to 1 and enforces its bounds', () => {
+    const bounds = { people: 'people must be a whole number between 1 and 20' };
+    const query = journey();
+
+    query.validate();
+    expect(query.searchData.people).toBe(1);
+    expect(journey({ people: 20 }).validate().isValid).toBe(true);
+    expect(journey({ people: 0 }).validate().fieldErrors).toEqual(bounds);
+    expect(journey({ people: 21 }).validate().fieldErrors).toEqual(bounds);
+    expect(journey({ people: 2.5 }).validate().fieldErrors).toEqual(bounds);
+    expect(journey({ people: 'two' }).validate().fieldErrors).toEqual(bounds);
+  });
+
+  test('accepts a valid stay', () => {
+    const query = stay({ people: 3 });
+
+    expect(query.validate().isValid).toBe(true);
+    expect(query.searchData).toMatchObject({ location: 'Goa', checkIn: '2026-10-20', checkOut: '2026-10-22', people: 3 });
+  });
+
+  test('requires checkOut after checkIn', () => {
+    const after = { checkOut: 'checkOut must be after checkIn' };
+
+    expect(stay({ checkOut: '2026-10-20' }).validate().fieldErrors).toEqual(after);
+    expect(stay({ checkOut: '2026-10-19' }).validate().fieldErrors).toEqual(after);
+  });
+
+  test('requires a location and both stay dates', () => {
+    expect(stay({ location: ' ', checkIn: undefined, checkOut: '2026-10-17' }).validate().fieldErrors).toEqual({
+      location: 'location is required',
+      checkIn: 'checkIn is required',
+      checkOut: 'checkOut cannot be in the past',
+    });
+  });
+});
+
+describe('Query.getFingerprint', () => {
+  test('ignores case and surrounding spaces in place names', () => {
+    expect(journey({ to: ' delhi ' }).getFingerprint()).toBe(journey().getFingerprint());
+  });
+
+  test('uses the location id in place of the text when one was sent', () => {
+    const first = journey({ to: 'Springfield', toId: 'nominatim:R1' });
+    const second = journey({ to: 'Springfield', toId: 'nominatim:R2' });
+
+    expect(first.getFingerprint()).toBe('flight|98765 43210|mumbai|nominatim:R1|2026-10-20');
+    expect(second.getFingerprint()).not.toBe(first.getFingerprint());
+    expect(journey({ to: 'Springfield' }).getFingerprint()).not.toBe(first.getFingerprint());
+  });
+
+  test('covers the hotel location id', () => {
+    expect(stay({ locationId: 'photon:N5' }).getFingerprint()).toBe('hotel|9876543210|photon:N5|2026-10-20|2026-10-22');
+  });
+});
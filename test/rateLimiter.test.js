@@ -0,0 +1,146 @@
+const { slidingWindow, tokenBucket } = require('../middleware/rateLimiter/algorithms');
+const { KEY_GENERATORS } = require('../middleware/rateLimiter/keyGenerators');
+
+// Known API keys are read when the module loads
+const loadKeyGenerators = (apiKeys) => {
+  const previous = process.env.RATE_LIMIT_API_KEYS;
+  let keyGenerators;
+
+  process.env.RATE_LIMIT_API_KEYS = apiKeys;
+  jest.isolateModules(() => {
+    keyGenerators = require('../middleware/rateLimiter/keyGenerators').KEY_GENERATORS;
+  });
+
+  if (previous === undefined) {
+    delete process.env.RATE_LIMIT_API_KEYS;
+  } else {
+    process.env.RATE_LIMIT_API_KEYS = previous;
+  }
+
+  return keyGenerators;
+};
+
+// Run a sequence of requests against one key, carrying the state along
+const consumer = (algorithm, limits) => {
+  let state = null;
+
+  return (now) => {
+    const result = algorithm(state, { ...limits, now });
+    state = result.state;
+    return result;
+  };
+};
+
+describe('slidingWindow', () => {
+  test('allows limit requests per window', () => {
+    const consume = consumer(slidingWindow, { limit: 3, windowMs: 1000 });
+
+    expect(consume(0)).toMatchObject({ allowed: true, remaining: 2, resetMs: 1000 });
+    expect(consume(100)).toMatchObject({ allowed: true, remaining: 1, resetMs: 900 });
+    expect(consume(200)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(consume(300)).toMatchObject({ allowed: false, remaining: 0, retryAfterMs: 700 });
+  });
+
+  test('weights the previous window by how much of it still overlaps', () => {
+    const consume = consumer(slidingWindow, { limit: 3, windowMs: 1000 });
+    [0, 0, 0].forEach(now => consume(now));
+
+    // Halfway through the next window, half of the previous 3 still count
+    expect(consume(1500)).toMatchObject({ allowed: true, remaining: 0 });
+
+    // 1.5 + 1 = 2.5 counted; another fits once the previous share drops under 1
+    const rejected = consume(1500);
+    expect(rejected).toMatchObject({ allowed: false });
+    expect(rejected.retryAfterMs).toBe(167);
+    expect(consume(1500 + rejected.retryAfterMs)).toMatchObject({ allowed: true });
+  });
+
+  test('forgets windows older than the previous one', () => {
+    const consume = consumer(slidingWindow, { limit: 3, windowMs: 1000 });
+    [0, 0, 0].forEach(now => consume(now));
+
+    expect(consume(2000)).toMatchObject({ allowed: true, remaining: 2 });
+  });
+
+  test('keeps state for two windows', () => {
+    expect(slidingWindow(null, { limit: 3, windowMs: 1000, now: 0 }).ttlMs).toBe(2000);
+  });
+});
+
+describe('tokenBucket', () => {
+  test('allows a burst of limit requests', () => {
+    const consume = consumer(tokenBucket, { limit: 2, windowMs: 1000 });
+
+    expect(consume(0)).toMatchObject({ allowed: true, remaining: 1, resetMs: 500 });
+    expect(consume(0)).toMatchObject({ allowed: true, remaining: 0, resetMs: 1000 });
+    expect(consume(0)).toMatchObject({ allowed: false, remaining: 0, retryAfterMs: 500 });
+  });
+
+  test('refills evenly over the window', () => {
+    const consume = consumer(tokenBucket, { limit: 2, windowMs: 1000 });
+    consume(0);
+    consume(0);
+
+    expect(consume(250)).toMatchObject({ allowed: false, retryAfterMs: 250 });
+    expect(consume(500)).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  test('never holds more than limit tokens', () => {
+    const consume = consumer(tokenBucket, { limit: 2, windowMs: 1000 });
+    consume(0);
+
+    expect(consume(60000)).toMatchObject({ allowed: true, remaining: 1 });
+    expect(consume(60000)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(consume(60000)).toMatchObject({ allowed: false });
+  });
+});
+
+describe('key generators', () => {
+  const request = ({ body, headers = {}, remoteAddress = '203.0.113.7' } = {}) => ({
+    body,
+    headers,
+    socket: { remoteAddress },
+    get: (name) => headers[name.toLowerCase()],
+  });
+
+  test('ip groups IPv6 clients by /64', () => {
+    expect(KEY_GENERATORS.ip(request())).toBe('ip:203.0.113.7');
+    expect(KEY_GENERATORS.ip(request({ remoteAddress: '2001:db8:1:2:aaaa::1' }))).toBe('ip:2001:db8:1:2::/64');
+  });
+
+  test('apiKey hashes known keys and falls back to the IP', () => {
+    const { apiKey } = loadKeyGenerators('other, secret');
+    const key = apiKey(request({ headers: { 'x-api-key': 'secret' } }));
+
+    expect(key).toMatch(/^key:[0-9a-f]{32}$/);
+    expect(key).not.toContain('secret');
+    expect(apiKey(request())).toBe('ip:203.0.113.7');
+  });
+
+  test('apiKey limits unknown keys by IP, so random keys get no fresh bucket', () => {
+    const { apiKey } = loadKeyGenerators('secret');
+
+    expect(apiKey(request({ headers: { 'x-api-key': 'random-1' } }))).toBe('ip:203.0.113.7');
+    expect(apiKey(request({ headers: { 'x-api-key': 'random-2' } }))).toBe('ip:203.0.113.7');
+    expect(KEY_GENERATORS.apiKey(request({ headers: { 'x-api-key': 'secret' } }))).toBe('ip:203.0.113.7');
+  });
+
+  test('mobile normalizes and hashes the number, skipping invalid ones', () => {
+    const key = KEY_GENERATORS.mobile(request({ body: { mobile: '98765 43210' } }));
+
+    expect(key).toBe(KEY_GENERATORS.mobile(request({ body: { mobile: '+919876543210' } })));
+    expect(key).not.toContain('9876543210');
+    expect(KEY_GENERATORS.mobile(request({ body: { mobile: 'abc' } }))).toBeNull();
+    expect(KEY_GENERATORS.mobile(request())).toBeNull();
+  });
+
+  test('mobileIp gives each client its own allowance for a number', () => {
+    const body = { mobile: '9876543210' };
+    const first = KEY_GENERATORS.mobileIp(request({ body }));
+    const second = KEY_GENERATORS.mobileIp(request({ body, remoteAddress: '198.51.100.1' }));
+
+    expect(first).toBe(`${KEY_GENERATORS.mobile(request({ body }))}:ip:203.0.113.7`);
+    expect(second).not.toBe(first);
+    expect(KEY_GENERATORS.mobileIp(request({ body: {} }))).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+const { TokenBucketScheduler } = require('../utils/tokenBucketScheduler');
+
+describe('TokenBucketScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 0 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('grants up to capacity straight away', async () => {
+    const scheduler = new TokenBucketScheduler({ capacity: 3, intervalMs: 3000 });
+
+    await expect(scheduler.schedule()).resolves.toBe(0);
+    await expect(scheduler.schedule()).resolves.toBe(0);
+    await expect(scheduler.schedule()).resolves.toBe(0);
+    expect(scheduler.getStats()).toMatchObject({ granted: 3, queued: 0, queueDepth: 0 });
+  });
+
+  test('queues callers in order and grants one per refill', async () => {
+    const scheduler = new TokenBucketScheduler({ capacity: 1, intervalMs: 1000, maxWaitMs: 5000 });
+    const granted = [];
+
+    await scheduler.schedule();
+    scheduler.schedule().then(waited => granted.push(['first', waited]));
+    scheduler.schedule().then(waited => granted.push(['second', waited]));
+
+    expect(scheduler.getStats()).toMatchObject({ queued: 2, queueDepth: 2, peakQueueDepth: 2 });
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(granted).toEqual([['first', 1000]]);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(granted).toEqual([['first', 1000], ['second', 2000]]);
+    expect(scheduler.getStats().queueDepth).toBe(0);
+  });
+
+  test('returns null when the estimated wait exceeds maxWaitMs', async () => {
+    const scheduler = new TokenBucketScheduler({ capacity: 1, intervalMs: 1000, maxWaitMs: 1500 });
+
+    await scheduler.schedule();
+    const queued = scheduler.schedule(); // ~1000ms
+
+    expect(scheduler.estimateWait()).toBe(2000);
+    expect(scheduler.schedule()).toBeNull();
+    expect(scheduler.getStats().rejected).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(queued).resolves.toBe(1000);
+  });
+
+  test('refills gradually and never above capacity', async () => {
+    const scheduler = new TokenBucketScheduler({ capacity: 2, intervalMs: 1000 });
+
+    await scheduler.schedule();
+    await scheduler.schedule();
+    expect(scheduler.getStats().tokens).toBe(0);
+
+    jest.advanceTimersByTime(250);
+    expect(scheduler.getStats().tokens).toBe(0.5);
+
+    jest.advanceTimersByTime(10000);
+    expect(scheduler.getStats().tokens).toBe(2);
+  });
+
+  test('removes aborted callers from the queue', async () => {
+    const scheduler = new TokenBucketScheduler({ capacity: 1, intervalMs: 1000 });
+    const controller = new AbortController();
+
+    await scheduler.schedule();
+    const aborted = scheduler.schedule({ signal: controller.signal });
+    const next = scheduler.schedule();
+
+    controller.abort(new Error('hedge won'));
+    await expect(aborted).rejects.toThrow('hedge won');
+    expect(scheduler.getStats()).toMatchObject({ cancelled: 1, queueDepth: 1 });
+
+    // The freed slot goes to the next caller
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(next).resolves.toBe(1000);
+  });
+
+  test('rejects straight away when the signal is already aborted', async () => {
+    const scheduler = new TokenBucketScheduler({ capacity: 1, intervalMs: 1000 });
+
+    await scheduler.schedule();
+    await expect(scheduler.schedule({ signal: AbortSignal.abort(new Error('gone')) })).rejects.toThrow('gone');
+    expect(scheduler.getStats().queueDepth).toBe(0);
+  });
+
+  test('reports wait time percentiles and resets counters', async () => {
+    const scheduler = new TokenBucketScheduler({ capacity: 1, intervalMs: 1000 });
+
+    await scheduler.schedule();
+    const queued = scheduler.schedule();
+    await jest.advanceTimersByTimeAsync(1000);
+    await queued;
+
+    expect(scheduler.getStats().waitMs).toEqual({ samples: 2, avg: 500, p95: 1000, max: 1000 });
+
+    scheduler.resetStats();
+    expect(scheduler.getStats()).toMatchObject({ granted: 0, queued: 0, waitMs: { samples: 0 } });
+  });
+});
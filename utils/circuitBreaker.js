@@ -0,0 +1,159 @@
+/**
+ * Circuit breaker
+ *
+ * States:
+ *   closed    - requests flow; consecutive failures are counted
+ *   open      - requests are refused until resetTimeoutMs has passed
+ *   half_open - up to halfOpenMaxProbes trial requests are let through;
+ *               a success closes the breaker, a failure opens it again
+ *
+ * Callers ask tryAcquire() before each request and then report exactly one
+ * of onSuccess(), onFailure(reason) or release() (request abandoned with no
+ * outcome, e.g. cancelled, so it mustn't count either way).
+ */
+
+const logger = require('./logger');
+
+const log = logger.child('CircuitBreaker');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.name = options.name || 'breaker';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.halfOpenMaxProbes = options.halfOpenMaxProbes || 1;
+    this.historySize = options.historySize || 20;
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probesInFlight = 0;
+    this.lastFailure = null;
+    this.history = []; // { from, to, at, reason }, newest last
+
+    this.stats = {
+      successes: 0,
+      failures: 0,
+      rejected: 0,
+    };
+  }
+
+  /**
+   * May a request be sent now?
+   */
+  tryAcquire() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        this.stats.rejected++;
+        return false;
+      }
+
+      this.transition(STATES.HALF_OPEN, 'reset timeout elapsed');
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.probesInFlight >= this.halfOpenMaxProbes) {
+        this.stats.rejected++;
+        return false;
+      }
+
+      this.probesInFlight++;
+    }
+
+    return true;
+  }
+
+  onSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      this.transition(STATES.CLOSED, 'probe succeeded');
+    }
+  }
+
+  /**
+   * @param {string} reason - e.g. "timeout" or the error message
+   */
+  onFailure(reason) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.lastFailure = { reason, at: new Date().toISOString() };
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      this.open(`probe failed: ${reason}`);
+    } else if (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold) {
+      this.open(`${this.consecutiveFailures} consecutive failures, last: ${reason}`);
+    }
+  }
+
+  release() {
+    if (this.state === STATES.HALF_OPEN) {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+    }
+  }
+
+  open(reason) {
+    this.openedAt = Date.now();
+    this.transition(STATES.OPEN, reason);
+  }
+
+  transition(to, reason) {
+    if (this.state === to) return;
+
+    this.history.push({
+      from: this.state,
+      to,
+      at: new Date().toISOString(),
+      reason,
+    });
+
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    log[to === STATES.OPEN ? 'warn' : 'info']('State change', { breaker: this.name, from: this.state, to, reason });
+
+    this.state = to;
+
+    if (to !== STATES.HALF_OPEN) {
+      this.probesInFlight = 0;
+    }
+    if (to === STATES.CLOSED) {
+      this.consecutiveFailures = 0;
+      this.openedAt = null;
+    }
+  }
+
+  isOpen() {
+    return this.state === STATES.OPEN;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      resetTimeoutMs: this.resetTimeoutMs,
+      retryAt: this.state === STATES.OPEN
+        ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+        : null,
+      lastFailure: this.lastFailure,
+      ...this.stats,
+      history: [...this.history],
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  STATES,
+};
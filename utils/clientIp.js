@@ -0,0 +1,234 @@
+const net = require('net');
+
+/**
+ * Client IP resolution behind reverse proxies
+ *
+ * X-Forwarded-For is a list each proxy appends its peer's address to, so
+ * only the entries added by our own proxies can be believed; anything to
+ * their left may have been sent by the client. The chain is read right to
+ * left, starting with the socket peer, skipping trusted proxies, and the
+ * first untrusted address is the client.
+ *
+ * TRUST_PROXY (default: trust nothing, use the socket address) is either
+ * - a hop count: the number of proxies in front of the app, e.g. 1 behind a
+ *   single load balancer, or
+ * - a comma-separated list of CIDRs, addresses and the keywords loopback,
+ *   linklocal and private (RFC 1918 / fc00::/7),
+ *   e.g. TRUST_PROXY=loopback,10.0.0.0/8
+ *
+ * X-Real-IP is only used when the socket peer is trusted and there is no
+ * X-Forwarded-For. Addresses are normalized (IPv4-mapped IPv6 unwrapped,
+ * IPv6 lowercased and compressed) so one client always gets one string.
+ */
+
+const KEYWORDS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+};
+
+/**
+ * Strip brackets, ports and zone ids, unwrap IPv4-mapped IPv6 and write
+ * IPv6 in its canonical (RFC 5952) form
+ * @returns {string|null} Normalized address, or null if it isn't an IP address
+ */
+const normalizeIp = (value) => {
+  if (typeof value !== 'string') return null;
+
+  let address = value.trim();
+
+  // "[::1]:8080" / "[::1]"
+  const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    address = bracketed[1];
+  } else if (/^[\d.]+:\d+$/.test(address)) {
+    // "203.0.113.7:51234"
+    address = address.slice(0, address.lastIndexOf(':'));
+  }
+
+  address = address.replace(/%.*$/, '').toLowerCase();
+
+  const version = net.isIP(address);
+  if (version === 4) return address;
+  if (version !== 6) return null;
+
+  const value128 = ipv6ToBigInt(address);
+
+  // ::ffff:a.b.c.d
+  if (value128 >> 32n === 0xffffn) {
+    return bigIntToIpv4(value128 & 0xffffffffn);
+  }
+
+  return bigIntToIpv6(value128);
+};
+
+const ipv4ToBigInt = (address) =>
+  address.split('.').reduce((result, octet) => (result << 8n) + BigInt(octet), 0n);
+
+const bigIntToIpv4 = (value) =>
+  [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+
+const ipv6ToBigInt = (address) => {
+  let text = address;
+
+  // Trailing dotted IPv4 ("::ffff:1.2.3.4") becomes two groups
+  const ipv4Tail = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4Tail) {
+    const value = ipv4ToBigInt(ipv4Tail[1]);
+    text = `${text.slice(0, -ipv4Tail[1].length)}${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  return groups.reduce((result, group) => (result << 16n) + BigInt(parseInt(group, 16)), 0n);
+};
+
+const bigIntToIpv6 = (value) => {
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  // Longest run of two or more zero groups becomes "::" (first one on ties)
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let start = 0; start < 8; start++) {
+    let length = 0;
+    while (start + length < 8 && groups[start + length] === 0) length++;
+    if (length > bestLength) {
+      bestStart = start;
+      bestLength = length;
+    }
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) return hex.join(':');
+
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+};
+
+const toBigInt = (address) => (net.isIP(address) === 4 ? ipv4ToBigInt(address) : ipv6ToBigInt(address));
+
+/**
+ * Parse "10.0.0.0/8" or a single address into { version, network, prefix }
+ */
+const parseCidr = (value) => {
+  const [addressPart, prefixPart] = value.split('/');
+  const address = normalizeIp(addressPart);
+
+  if (!address) {
+    throw new Error(
+      `Invalid TRUST_PROXY entry "${value}". Expected an IP address, CIDR, hop count or one of: ${Object.keys(KEYWORDS).join(', ')}`
+    );
+  }
+
+  const version = net.isIP(address);
+  const bits = version === 4 ? 32 : 128;
+  const prefix = prefixPart === undefined ? bits : parseInt(prefixPart, 10);
+
+  if (!(prefix >= 0 && prefix <= bits) || (prefixPart !== undefined && !/^\d+$/.test(prefixPart))) {
+    throw new Error(`Invalid TRUST_PROXY prefix length in "${value}"`);
+  }
+
+  const mask = ((1n << BigInt(bits)) - 1n) ^ ((1n << BigInt(bits - prefix)) - 1n);
+  return { version, prefix, mask, network: toBigInt(address) & mask };
+};
+
+/**
+ * Parse TRUST_PROXY
+ * @returns {Object} { hops } or { cidrs }
+ */
+const parseTrustProxy = (value) => {
+  const text = (value || '').trim().toLowerCase();
+
+  if (!text || text === 'false') return { cidrs: [] };
+  if (/^\d+$/.test(text)) return { hops: parseInt(text, 10) };
+
+  const cidrs = text
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .flatMap(entry => (KEYWORDS[entry] || [entry]).map(parseCidr));
+
+  return { cidrs };
+};
+
+const trustConfig = parseTrustProxy(process.env.TRUST_PROXY);
+
+/**
+ * Is address (normalized) one of our proxies, given it is hop steps from
+ * the app (0 = socket peer)? Also usable as Express's "trust proxy" function.
+ */
+const isTrustedProxy = (address, hop) => {
+  if (trustConfig.hops !== undefined) {
+    return hop < trustConfig.hops;
+  }
+
+  const normalized = normalizeIp(address);
+  if (!normalized) return false;
+
+  const version = net.isIP(normalized);
+  const value = toBigInt(normalized);
+
+  return trustConfig.cidrs.some(cidr => cidr.version === version && (value & cidr.mask) === cidr.network);
+};
+
+/**
+ * Client address of a request (cached on req.clientIp)
+ * @returns {string} Normalized IP address, or "unknown"
+ */
+const getClientIp = (req) => {
+  if (req.clientIp) return req.clientIp;
+
+  const socketAddress = normalizeIp(req.socket?.remoteAddress);
+  let clientIp = socketAddress || 'unknown';
+
+  if (socketAddress && isTrustedProxy(socketAddress, 0)) {
+    const forwarded = req.headers['x-forwarded-for'];
+
+    if (forwarded) {
+      const chain = String(forwarded).split(',').reverse();
+
+      for (let index = 0; index < chain.length; index++) {
+        const address = normalizeIp(chain[index]);
+
+        // Garbage can only come from left of a proxy we trust; stop at the last good hop
+        if (!address) break;
+
+        clientIp = address;
+        if (!isTrustedProxy(address, index + 1)) break;
+      }
+    } else {
+      const realIp = normalizeIp(req.headers['x-real-ip']);
+      if (realIp) clientIp = realIp;
+    }
+  }
+
+  req.clientIp = clientIp;
+  return clientIp;
+};
+
+/**
+ * Network an address belongs to for per-client limits: the address itself
+ * for IPv4, its /64 for IPv6 (one subscriber usually gets a whole /64, so
+ * per-address limits could be dodged by rotating addresses)
+ */
+const getClientNetwork = (address) => {
+  if (net.isIP(address) !== 6) return address;
+
+  const mask = ((1n << 128n) - 1n) ^ ((1n << 64n) - 1n);
+  return `${bigIntToIpv6(ipv6ToBigInt(address) & mask)}/64`;
+};
+
+module.exports = {
+  normalizeIp,
+  parseTrustProxy,
+  isTrustedProxy,
+  getClientIp,
+  getClientNetwork,
+};
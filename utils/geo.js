@@ -0,0 +1,36 @@
+/**
+ * Coordinate helpers shared by the location providers
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two coordinates
+ */
+const haversineKm = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * @param {Array<number>} bbox - [minLon, minLat, maxLon, maxLat]
+ */
+const isInBoundingBox = (lat, lon, bbox) => {
+  if (typeof lat !== 'number' || typeof lon !== 'number') {
+    return false;
+  }
+
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  return lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat;
+};
+
+module.exports = {
+  haversineKm,
+  isInBoundingBox,
+};
@@ -0,0 +1,73 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * JSON file with atomic, serialized writes
+ *
+ * Writes go to a temp file that is fsynced and then renamed over the real
+ * one, so a crash or power loss mid-write leaves either the old contents or
+ * the new ones, never a truncated file. exclusive() runs read-modify-write
+ * sections one at a time so concurrent callers don't overwrite each
+ * other's changes.
+ *
+ * Used by the file lead store, the Sheets outbox and the file cache tier.
+ */
+class JsonFile {
+  /**
+   * @param {string} filePath
+   * @param {Object} [options]
+   * @param {number} [options.indent] - Pretty-print with this many spaces
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.indent = options.indent;
+    this.chain = Promise.resolve();
+  }
+
+  /**
+   * Parsed contents, or null if the file doesn't exist yet
+   * (throws on other read errors and on invalid JSON)
+   */
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the file's contents with data
+   */
+  async write(data) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(data, null, this.indent));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Run fn once every earlier exclusive() call has finished
+   * @returns {Promise} fn's result
+   */
+  exclusive(fn) {
+    const run = this.chain.then(fn);
+
+    // Keep the chain alive even if this run fails
+    this.chain = run.catch(() => {});
+
+    return run;
+  }
+}
+
+module.exports = { JsonFile };
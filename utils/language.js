@@ -0,0 +1,49 @@
+/**
+ * Language tag helpers for localized location results
+ *
+ * Providers are asked for names in a single language, identified by its
+ * primary ISO 639 subtag ("hi", "mr", "en"). Region subtags are dropped so
+ * "en-IN" and "en-GB" share cache entries.
+ */
+
+/**
+ * Primary subtag of a BCP 47 language tag ("hi-IN" -> "hi")
+ * @returns {string|null} Lowercase subtag, or null if the tag is invalid
+ */
+const normalizeLanguage = (tag) => {
+  if (typeof tag !== 'string') return null;
+
+  const match = tag.trim().match(/^([a-z]{2,3})(?:-[a-z0-9]{1,8})*$/i);
+  return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Preferred language from an Accept-Language header
+ * ("mr-IN,hi;q=0.9,en;q=0.8" -> "mr")
+ * @returns {string|null} Highest-weighted valid language, or null
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  const candidates = String(header)
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const weight = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+
+      return { lang: normalizeLanguage(tag), weight: isNaN(weight) ? 0 : weight, index };
+    })
+    .filter(candidate => candidate.lang && candidate.weight > 0)
+    .sort((a, b) => b.weight - a.weight || a.index - b.index);
+
+  return candidates.length > 0 ? candidates[0].lang : null;
+};
+
+const DEFAULT_LANGUAGE = normalizeLanguage(process.env.LOCATION_DEFAULT_LANG) || 'en';
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  parseAcceptLanguage,
+};
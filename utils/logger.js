@@ -0,0 +1,172 @@
+const { getContext } = require('./requestContext');
+
+/**
+ * Structured logger
+ *
+ * LOG_LEVEL: error | warn | info | debug (default info)
+ * LOG_FORMAT: json | pretty (default json when NODE_ENV=production, pretty otherwise)
+ *
+ * Each module takes a child logger named after itself and logs a message
+ * plus optional fields:
+ *   const log = logger.child('LocationService');
+ *   log.info('Provider returned results', { provider: 'photon', count: 5 });
+ *   log.error('Lookup failed', { error });
+ *
+ * The current request's id (see middleware/requestId) is added to every line
+ * logged while handling it. An `error` field holding an Error is reduced to
+ * its name, message, code and stack.
+ */
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3,
+};
+
+const COLORS = {
+  error: '\x1b[31m',
+  warn: '\x1b[33m',
+  info: '\x1b[36m',
+  debug: '\x1b[90m',
+};
+const RESET = '\x1b[0m';
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.response?.status !== undefined && { status: error.response.status }),
+  stack: error.stack,
+});
+
+const formatPrettyValue = (value) => {
+  if (typeof value === 'string') {
+    return /[\s"=]/.test(value) ? JSON.stringify(value) : value;
+  }
+  return JSON.stringify(value);
+};
+
+class Logger {
+  constructor(options = {}) {
+    this.component = options.component || null;
+    this.fields = options.fields || {};
+    this.root = options.root || this;
+
+    if (this.root === this) {
+      const level = (options.level || 'info').toLowerCase();
+      if (LEVELS[level] === undefined) {
+        throw new Error(`Invalid LOG_LEVEL "${options.level}". Must be one of: ${Object.keys(LEVELS).join(', ')}`);
+      }
+
+      this.level = level;
+      this.format = options.format === 'json' ? 'json' : 'pretty';
+      this.colors = this.format === 'pretty' && Boolean(process.stdout.isTTY);
+    }
+  }
+
+  /**
+   * Logger that tags every line with a component and/or extra fields
+   * @param {string|Object} componentOrFields - e.g. "LocationService" or { provider: 'photon' }
+   */
+  child(componentOrFields) {
+    const isComponent = typeof componentOrFields === 'string';
+
+    return new Logger({
+      root: this.root,
+      component: isComponent ? componentOrFields : this.component,
+      fields: isComponent ? this.fields : { ...this.fields, ...componentOrFields },
+    });
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.root.level];
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const context = getContext();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      ...(this.component && { component: this.component }),
+      msg: message,
+      ...(context?.requestId && { requestId: context.requestId }),
+      ...this.fields,
+    };
+
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value === undefined) return;
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+
+    const line = this.root.format === 'json' ? this.toJson(entry) : this.toPretty(entry);
+    const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  toJson(entry) {
+    try {
+      return JSON.stringify(entry);
+    } catch (error) {
+      // Circular or otherwise unserializable fields; keep the message
+      return JSON.stringify({
+        time: entry.time,
+        level: entry.level,
+        component: entry.component,
+        msg: entry.msg,
+        requestId: entry.requestId,
+        logError: error.message,
+      });
+    }
+  }
+
+  /**
+   * 2026-01-01T10:00:00.000Z INFO  [LocationService] message key=value ... (reqId)
+   * followed by the stack of an error field
+   */
+  toPretty(entry) {
+    const { time, level, component, msg, requestId, ...rest } = entry;
+    const levelText = level.toUpperCase().padEnd(5);
+    const coloredLevel = this.root.colors ? `${COLORS[level]}${levelText}${RESET}` : levelText;
+
+    let stack = null;
+    const pairs = Object.entries(rest).map(([key, value]) => {
+      if (value && value.stack && value.message !== undefined) {
+        stack = value.stack;
+        return `${key}=${formatPrettyValue(value.message)}`;
+      }
+      return `${key}=${formatPrettyValue(value)}`;
+    });
+
+    let line = `${time} ${coloredLevel} ${component ? `[${component}] ` : ''}${msg}`;
+    if (pairs.length > 0) line += ` ${pairs.join(' ')}`;
+    if (requestId) line += ` (${requestId})`;
+    if (stack && level === 'error') line += `\n${stack}`;
+
+    return line;
+  }
+}
+
+module.exports = new Logger({
+  level: process.env.LOG_LEVEL,
+  format: process.env.LOG_FORMAT?.toLowerCase()
+    || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+});
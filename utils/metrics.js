@@ -0,0 +1,50 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics (prom-client)
+ *
+ * Modules create their metrics once at load time and update them as they go:
+ *   const metrics = require('../utils/metrics');
+ *   const appends = metrics.counter({ name: 'sheets_append_total', help: '...', labelNames: ['result'] });
+ *   appends.inc({ result: 'success' });
+ *
+ * Gauges can also take a collect(gauge) callback that sets their values when
+ * metrics are scraped, for state that lives elsewhere (queue depth, ...).
+ * prom-client's default process and Node.js metrics (CPU, memory, event
+ * loop lag, GC) are registered too.
+ *
+ * Keep label values low-cardinality: route patterns, provider keys and
+ * outcomes - never raw URLs, queries or error messages.
+ */
+
+const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+const counter = (options) => new client.Counter({ ...options, registers: [registry] });
+
+const histogram = (options) => new client.Histogram({ ...options, registers: [registry] });
+
+const gauge = ({ collect, ...options }) => new client.Gauge({
+  ...options,
+  registers: [registry],
+  ...(collect && {
+    collect() {
+      collect(this);
+    },
+  }),
+});
+
+/**
+ * Every registered metric in the exposition format
+ * @returns {Promise<string>}
+ */
+const render = () => registry.metrics();
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  render,
+  contentType: registry.contentType,
+};
@@ -0,0 +1,66 @@
+/**
+ * Phone number validation and E.164 normalization
+ *
+ * Numbers without a country code are treated as national numbers for
+ * PHONE_DEFAULT_COUNTRY_CODE (India, 91, by default). Indian numbers must
+ * be 10-digit mobiles starting with 6-9; other countries only get the
+ * generic E.164 length check.
+ */
+
+const DEFAULT_COUNTRY_CODE = process.env.PHONE_DEFAULT_COUNTRY_CODE || '91';
+
+const INDIAN_MOBILE_PATTERN = /^[6-9]\d{9}$/;
+
+/**
+ * Normalize a phone number to E.164 (e.g. "+919876543210")
+ *
+ * @param {string|number} value - Raw phone number as typed by the user
+ * @param {string} [defaultCountryCode] - Country calling code for national numbers
+ * @returns {string|null} E.164 number, or null if the number is invalid
+ */
+const normalizePhoneNumber = (value, defaultCountryCode = DEFAULT_COUNTRY_CODE) => {
+  if (value === undefined || value === null) return null;
+
+  const raw = String(value).trim();
+
+  // Only digits, spaces and common separators are allowed
+  if (!/^\+?[\d\s().-]+$/.test(raw)) return null;
+
+  let digits = raw.replace(/\D/g, '');
+  let international = raw.startsWith('+');
+
+  // "00" is the international call prefix in most countries
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  if (!international) {
+    // Drop the national trunk prefix ("09876543210")
+    if (digits.startsWith('0')) {
+      digits = digits.slice(1);
+    }
+
+    // Indian mobiles are often typed with the country code but no "+"
+    if (defaultCountryCode === '91' && digits.length === 12 && digits.startsWith('91')) {
+      digits = digits.slice(2);
+    }
+
+    digits = `${defaultCountryCode}${digits}`;
+  }
+
+  // E.164 allows at most 15 digits; anything under 8 is not a real number
+  if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) {
+    return null;
+  }
+
+  if (digits.startsWith('91') && !INDIAN_MOBILE_PATTERN.test(digits.slice(2))) {
+    return null;
+  }
+
+  return `+${digits}`;
+};
+
+module.exports = {
+  normalizePhoneNumber,
+};
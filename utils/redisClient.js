@@ -0,0 +1,67 @@
+const Redis = require('ioredis');
+const logger = require('./logger');
+
+const log = logger.child('Redis');
+
+/**
+ * ioredis client for Redis-compatible servers (Redis, Valkey, KeyDB, ...)
+ *
+ * Connects on the first command and reconnects in the background after the
+ * connection drops. Callers treat Redis as optional (cache misses, fail-open
+ * rate limits), so commands fail after commandTimeoutMs instead of waiting
+ * for the server to come back, and connection errors are logged once per
+ * outage rather than on every reconnect attempt.
+ *
+ * URL format: redis://[[user]:password@]host[:port][/db] (rediss:// for TLS)
+ *
+ * @param {string} [url] - Server URL (default redis://127.0.0.1:6379)
+ * @param {Object} [options]
+ * @param {string} [options.name] - Identifies the client in logs
+ * @returns {Redis}
+ */
+const createRedisClient = (url, options = {}) => {
+  const name = options.name || 'redis';
+
+  const client = new Redis(url || 'redis://127.0.0.1:6379', {
+    lazyConnect: true,
+    connectTimeout: options.connectTimeoutMs || 2000,
+    commandTimeout: options.commandTimeoutMs || 2000,
+    maxRetriesPerRequest: 1,
+  });
+
+  let reportedError = false;
+
+  client.on('ready', () => {
+    reportedError = false;
+    log.info('Connected', { client: name });
+  });
+
+  client.on('error', (error) => {
+    if (reportedError) return;
+    reportedError = true;
+    log.warn('Connection error', { client: name, error: error.message });
+  });
+
+  return client;
+};
+
+/**
+ * Close a client from createRedisClient, waiting for pending replies if connected
+ */
+const closeRedisClient = async (client) => {
+  if (client.status !== 'ready') {
+    client.disconnect();
+    return;
+  }
+
+  try {
+    await client.quit();
+  } catch (error) {
+    client.disconnect();
+  }
+};
+
+module.exports = {
+  createRedisClient,
+  closeRedisClient,
+};
@@ -0,0 +1,31 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context (request id, ...) that follows a request through every
+ * async call it makes, so code deep in a service can tag its log lines
+ * without the request being passed down
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with context as the current request context
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * @returns {Object|undefined} Context of the request being handled, if any
+ */
+const getContext = () => storage.getStore();
+
+/**
+ * Run fn outside any request context, for work started by one request on
+ * behalf of many (e.g. a batched write) that shouldn't carry its id
+ */
+const runWithoutContext = (fn) => storage.exit(fn);
+
+module.exports = {
+  runWithContext,
+  runWithoutContext,
+  getContext,
+};
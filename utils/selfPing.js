@@ -1,5 +1,8 @@
 const http = require('http');
 const https = require('https');
+const logger = require('./logger');
+
+const log = logger.child('Self-Ping');
 
 let pingInterval = null;
 
@@ -10,7 +13,7 @@ const selfPing = (port) => {
   
   const url = `${baseUrl}/api/ping`;
   
-  console.log(`[Self-Ping] Pinging ${url}`);
+  log.debug('Pinging', { url });
 
   const protocol = isProduction || baseUrl.startsWith('https') ? https : http;
 
@@ -23,15 +26,15 @@ const selfPing = (port) => {
 
     res.on('end', () => {
       if (res.statusCode === 200) {
-        console.log(`[Self-Ping] Success - Server is alive at ${new Date().toISOString()}`);
+        log.info('Server is alive', { url });
       } else {
-        console.log(`[Self-Ping] Warning - Received status code ${res.statusCode}`);
+        log.warn('Unexpected status code', { url, status: res.statusCode });
       }
     });
   });
 
   request.on('error', (error) => {
-    console.error(`[Self-Ping] Error: ${error.message}`);
+    log.error('Ping failed', { url, error: error.message });
   });
 
   request.end();
@@ -43,7 +46,7 @@ const startSelfPing = (port) => {
     clearInterval(pingInterval);
   }
 
-  console.log('[Self-Ping] Starting self-ping mechanism (every 5 minutes)');
+  log.info('Starting self-ping mechanism (every 5 minutes)');
 
   // Ping immediately on start
   setTimeout(() => selfPing(port), 10000); // First ping after 10 seconds
@@ -60,7 +63,7 @@ const stopSelfPing = () => {
   if (pingInterval) {
     clearInterval(pingInterval);
     pingInterval = null;
-    console.log('[Self-Ping] Self-ping mechanism stopped');
+    log.info('Self-ping mechanism stopped');
   }
 };
 
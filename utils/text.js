@@ -0,0 +1,91 @@
+/**
+ * Text helpers for offline location matching
+ */
+
+/**
+ * Lowercase, strip diacritics and punctuation, collapse whitespace
+ * ("São Paulo" -> "sao paulo", "Dr. Babasaheb" -> "dr babasaheb")
+ */
+const normalizeText = (value) => {
+  if (!value) return '';
+
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, ' ')
+    .trim();
+};
+
+/**
+ * True if every query token is a prefix of some word in the text
+ * ("mum int" matches "mumbai international airport")
+ */
+const matchesAllTokens = (text, query) => {
+  const words = text.split(' ');
+  return query.split(' ').every(token => words.some(word => word.startsWith(token)));
+};
+
+/**
+ * Typos allowed in a query token of this length
+ */
+const maxTypos = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+/**
+ * Levenshtein distance, giving up once it exceeds max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * True if the token is a prefix of the word with at most maxTypos(token) edits
+ * ("delhj" matches "delhi", "mumbia" matches "mumbai")
+ */
+const matchesPrefixFuzzy = (word, token) => {
+  if (word.startsWith(token)) return true;
+
+  const max = maxTypos(token.length);
+  if (max === 0) return false;
+
+  // The typo may have added or dropped characters, so try nearby prefix lengths
+  for (let length = token.length - max; length <= token.length + max; length++) {
+    if (length > 0 && length <= word.length && editDistance(word.slice(0, length), token, max) <= max) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Like matchesAllTokens, but tolerating typos in longer tokens
+ */
+const matchesAllTokensFuzzy = (text, query) => {
+  const words = text.split(' ');
+  return query.split(' ').every(token => words.some(word => matchesPrefixFuzzy(word, token)));
+};
+
+module.exports = {
+  normalizeText,
+  matchesAllTokens,
+  matchesAllTokensFuzzy,
+};
@@ -0,0 +1,182 @@
+/**
+ * Token bucket with a FIFO wait queue
+ *
+ * Holds up to `capacity` tokens, refilled evenly at capacity per
+ * intervalMs, so { capacity: 1, intervalMs: 1000 } allows one request per
+ * second and { capacity: 60, intervalMs: 60000 } a burst of 60 and then one
+ * per second.
+ *
+ * When no token is free, callers wait in line instead of being turned away,
+ * unless their estimated wait would exceed maxWaitMs - then schedule()
+ * returns null straight away so the caller can do something else.
+ */
+
+const WAIT_SAMPLE_SIZE = 100;
+
+class TokenBucketScheduler {
+  constructor(options = {}) {
+    this.name = options.name || 'scheduler';
+    this.capacity = options.capacity || 1;
+    this.intervalMs = options.intervalMs || 1000;
+    this.maxWaitMs = options.maxWaitMs !== undefined ? options.maxWaitMs : 2000;
+    this.refillPerMs = this.capacity / this.intervalMs;
+
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = []; // { resolve, reject, enqueuedAt, signal, onAbort }, oldest first
+    this.timer = null;
+
+    this.stats = this.createStats();
+    this.waitSamples = [];
+  }
+
+  createStats() {
+    return {
+      granted: 0,
+      queued: 0,
+      rejected: 0,
+      cancelled: 0,
+      peakQueueDepth: 0,
+    };
+  }
+
+  /**
+   * Wait for a token
+   *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Leave the queue when aborted (the promise rejects)
+   * @returns {Promise<number>|null} Resolves with the ms waited, or null if the
+   *   estimated wait exceeds maxWaitMs
+   */
+  schedule({ signal } = {}) {
+    this.refill();
+
+    if (this.queue.length === 0 && this.tokens >= 1) {
+      this.tokens--;
+      this.recordGrant(0);
+      return Promise.resolve(0);
+    }
+
+    if (this.estimateWait() > this.maxWaitMs) {
+      this.stats.rejected++;
+      return null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, enqueuedAt: Date.now(), signal, onAbort: null };
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(signal.reason);
+          return;
+        }
+
+        entry.onAbort = () => {
+          const index = this.queue.indexOf(entry);
+          if (index === -1) return;
+
+          this.queue.splice(index, 1);
+          this.stats.cancelled++;
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.queue.push(entry);
+      this.stats.queued++;
+      this.stats.peakQueueDepth = Math.max(this.stats.peakQueueDepth, this.queue.length);
+      this.scheduleDrain();
+    });
+  }
+
+  /**
+   * Estimated ms until a request joining the queue now would get a token
+   */
+  estimateWait() {
+    this.refill();
+
+    const deficit = this.queue.length + 1 - this.tokens;
+    return deficit > 0 ? Math.ceil(deficit / this.refillPerMs) : 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  scheduleDrain() {
+    if (this.timer || this.queue.length === 0) return;
+
+    this.refill();
+    const delay = this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, delay);
+  }
+
+  drain() {
+    this.refill();
+
+    while (this.queue.length > 0 && this.tokens >= 1) {
+      const entry = this.queue.shift();
+      this.tokens--;
+
+      if (entry.onAbort) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+
+      const waited = Date.now() - entry.enqueuedAt;
+      this.recordGrant(waited);
+      entry.resolve(waited);
+    }
+
+    this.scheduleDrain();
+  }
+
+  recordGrant(waitedMs) {
+    this.stats.granted++;
+    this.waitSamples.push(waitedMs);
+    if (this.waitSamples.length > WAIT_SAMPLE_SIZE) {
+      this.waitSamples.shift();
+    }
+  }
+
+  getStats() {
+    this.refill();
+
+    const sorted = [...this.waitSamples].sort((a, b) => a - b);
+
+    return {
+      capacity: this.capacity,
+      intervalMs: this.intervalMs,
+      maxWaitMs: this.maxWaitMs,
+      tokens: Math.floor(this.tokens * 100) / 100,
+      queueDepth: this.queue.length,
+      ...this.stats,
+      waitMs: sorted.length > 0
+        ? {
+          samples: sorted.length,
+          avg: Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+          p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+          max: sorted[sorted.length - 1],
+        }
+        : { samples: 0 },
+    };
+  }
+
+  /**
+   * Reset counters (tokens and queued requests are kept, so the provider's
+   * policy still holds)
+   */
+  resetStats() {
+    this.stats = this.createStats();
+    this.waitSamples = [];
+  }
+}
+
+module.exports = {
+  TokenBucketScheduler,
+};